@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// Command-line client for the versioned award search API (GET /api/v1/awards on server.js).
+//   award-search search --keyword cloud --agency GSA --start-date 2024-10-01 --format csv --all > awards.csv
+// Prints one page by default; --all follows the API's Link header through every page. CSV output keeps the
+// header row from the first page only; JSON output is one array of awards. Progress goes to stderr.
+// The server defaults to http://localhost:3000; set --url or AWARD_SEARCH_URL to use another.
+
+const { parseArgs } = require('util');
+
+const MAX_RATE_LIMIT_RETRIES = 5; // Waits on 429 responses before giving up
+
+const USAGE = `Usage: award-search search [options]
+
+Search options (repeatable options may be given more than once):
+  --keyword <text>          Keyword to search for (repeatable)
+  --award-type <type>       all_contracts (default), all_grants, all_idvs or an award type code
+  --agency <agency>         Agency name, abbreviation (GSA) or toptier code (047) (repeatable)
+  --sub-agency <a::b>       Sub-agency as <agency>::<sub-agency name> (repeatable)
+  --agency-function <fn>    awarding (default) or funding
+  --start-date <date>       Start of the date range (YYYY-MM-DD; default 180 days ago)
+  --end-date <date>         End of the date range (YYYY-MM-DD; default today)
+  --recipient <text>        Recipient name or UEI (repeatable)
+  --param <name=value>      Any other search URL parameter, e.g. naics=541511 or pop_state=VA (repeatable)
+
+Output options:
+  --format <format>         json (default) or csv
+  --fields <list>           Comma-separated fields to return
+  --sort <field>            Field to sort by; --order asc or desc (default desc)
+  --page <n>                Page to fetch (default 1)
+  --limit <n>               Awards per page, up to 100 (default 25, or 100 with --all)
+  --all                     Fetch every page from --page on
+  --url <url>               Server URL (default $AWARD_SEARCH_URL or http://localhost:3000)
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+    keyword: { type: 'string', multiple: true },
+    'award-type': { type: 'string' },
+    agency: { type: 'string', multiple: true },
+    'sub-agency': { type: 'string', multiple: true },
+    'agency-function': { type: 'string' },
+    'start-date': { type: 'string' },
+    'end-date': { type: 'string' },
+    recipient: { type: 'string', multiple: true },
+    param: { type: 'string', multiple: true },
+    format: { type: 'string', default: 'json' },
+    fields: { type: 'string' },
+    sort: { type: 'string' },
+    order: { type: 'string' },
+    page: { type: 'string' },
+    limit: { type: 'string' },
+    all: { type: 'boolean', default: false },
+    url: { type: 'string', default: process.env.AWARD_SEARCH_URL || 'http://localhost:3000' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+// Options that map straight onto API query parameters
+const QUERY_OPTIONS = {
+    keyword: 'keyword',
+    'award-type': 'award_type',
+    agency: 'agency',
+    'sub-agency': 'sub_agency',
+    'agency-function': 'agency_function',
+    'start-date': 'start_date',
+    'end-date': 'end_date',
+    recipient: 'recipient',
+    format: 'format',
+    fields: 'fields',
+    sort: 'sort',
+    order: 'order',
+    page: 'page',
+    limit: 'limit',
+};
+
+class CliError extends Error {}
+
+// Build the API query string from the parsed options
+function buildQuery(values) {
+    const params = new URLSearchParams();
+    Object.entries(QUERY_OPTIONS).forEach(([option, name]) => {
+        const value = values[option];
+        if (value === undefined) return;
+        (Array.isArray(value) ? value : [value]).forEach(item => params.append(name, item));
+    });
+    (values.param || []).forEach((entry) => {
+        const separator = entry.indexOf('=');
+        if (separator < 1) throw new CliError(`--param must be written as name=value, got "${entry}".`);
+        params.append(entry.slice(0, separator), entry.slice(separator + 1));
+    });
+    if (values.all && !params.has('limit')) params.set('limit', '100');
+    return params;
+}
+
+// Describe a structured API error ({ code, detail, fields, requestId }) for the terminal
+function describeApiError(status, body) {
+    if (!body || typeof body !== 'object') return `The server returned HTTP ${status}.`;
+    const lines = [`${body.detail || `The server returned HTTP ${status}.`} (${body.code || status})`];
+    (body.fields || []).forEach(field => lines.push(`  ${field.field}: ${field.message}`));
+    if (body.requestId) lines.push(`  Reference ID: ${body.requestId}`);
+    return lines.join('\n');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fetch one page, waiting out rate limiting. Returns { response, body } where body is text.
+async function fetchPage(url) {
+    for (let attempt = 0; ; attempt += 1) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new CliError(`Could not reach ${new URL(url).origin}: ${error.cause ? error.cause.message : error.message}`);
+        }
+        const body = await response.text();
+        if (response.ok) return { response, body };
+
+        let errorBody = null;
+        try {
+            errorBody = JSON.parse(body);
+        } catch (error) {
+            // Not a structured error
+        }
+        if (response.status === 429 && attempt < MAX_RATE_LIMIT_RETRIES) {
+            const seconds = Number(response.headers.get('Retry-After')) || (errorBody && errorBody.retryAfter) || 1;
+            process.stderr.write(`Rate limited; retrying in ${seconds}s...\n`);
+            await sleep(seconds * 1000);
+            continue;
+        }
+        throw new CliError(describeApiError(response.status, errorBody));
+    }
+}
+
+// The rel="next" URL from a Link header, resolved against the server URL
+function nextPageUrl(response, baseUrl) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(response.headers.get('Link') || '');
+    return match ? new URL(match[1], baseUrl).toString() : null;
+}
+
+// Fetch one page, or every page with --all, and write it to stdout in the requested format
+async function search(values) {
+    if (!['json', 'csv'].includes(values.format)) throw new CliError('--format must be json or csv.');
+    const query = buildQuery(values);
+    let url = new URL(`/api/v1/awards?${query}`, values.url).toString();
+
+    if (!values.all) {
+        const { body } = await fetchPage(url);
+        process.stdout.write(values.format === 'json' ? `${JSON.stringify(JSON.parse(body), null, 2)}\n` : body);
+        return;
+    }
+
+    const awards = [];
+    let fetched = 0;
+    let first = true;
+    while (url) {
+        const { response, body } = await fetchPage(url);
+        const total = Number(response.headers.get('X-Total-Count')) || 0;
+        if (values.format === 'csv') {
+            // Keep the header row from the first page only
+            const rows = body.split('\r\n').filter(Boolean);
+            process.stdout.write(`${(first ? rows : rows.slice(1)).join('\r\n')}\r\n`);
+            fetched += rows.length - 1;
+        } else {
+            const data = JSON.parse(body);
+            awards.push(...data.results);
+            fetched += data.results.length;
+        }
+        process.stderr.write(`Fetched ${fetched.toLocaleString()} of ${total.toLocaleString()} awards\n`);
+        first = false;
+        url = nextPageUrl(response, values.url);
+    }
+    if (values.format === 'json') process.stdout.write(`${JSON.stringify(awards, null, 2)}\n`);
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new CliError(`${error.message}\n\n${USAGE}`);
+    }
+    const { values, positionals } = parsed;
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (positionals[0] !== 'search' || positionals.length > 1) {
+        throw new CliError(`Unknown command "${positionals.join(' ')}".\n\n${USAGE}`);
+    }
+    await search(values);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        process.stderr.write(`${error instanceof CliError ? error.message : error.stack}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { buildQuery, nextPageUrl, main };
@@ -0,0 +1,167 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Cache stores share one async interface so a Redis-style backend can be dropped in:
+//   get(key) -> entry | undefined, set(key, entry), delete(key) -> boolean, entries() -> [[key, entry]], clear()
+// An entry is { value, route, createdAt, expiresAt }.
+
+// In-memory store. Oldest entries are evicted first once maxEntries is reached.
+function createMemoryStore({ maxEntries = 500 } = {}) {
+    const map = new Map();
+    return {
+        async get(key) {
+            return map.get(key);
+        },
+        async set(key, entry) {
+            map.delete(key);
+            map.set(key, entry);
+            while (map.size > maxEntries) {
+                map.delete(map.keys().next().value);
+            }
+        },
+        async delete(key) {
+            return map.delete(key);
+        },
+        async entries() {
+            return [...map.entries()];
+        },
+        async clear() {
+            map.clear();
+        },
+    };
+}
+
+// File store: one JSON file per entry, so cached responses survive restarts
+function createFileStore({ dir }) {
+    const fileFor = key => path.join(dir, `${key}.json`);
+    const ready = fs.mkdir(dir, { recursive: true });
+
+    return {
+        async get(key) {
+            await ready;
+            try {
+                return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return undefined;
+                throw error;
+            }
+        },
+        async set(key, entry) {
+            await ready;
+            await fs.writeFile(fileFor(key), JSON.stringify(entry));
+        },
+        async delete(key) {
+            await ready;
+            try {
+                await fs.unlink(fileFor(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+        async entries() {
+            await ready;
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            const results = [];
+            for (const file of files) {
+                const key = file.slice(0, -'.json'.length);
+                const entry = await this.get(key);
+                if (entry) results.push([key, entry]);
+            }
+            return results;
+        },
+        async clear() {
+            await ready;
+            const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+            await Promise.all(files.map(file => fs.unlink(path.join(dir, file)).catch(() => {})));
+        },
+    };
+}
+
+// Serialize a value with object keys sorted so logically equal request bodies produce the same string
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// Build a cache key from the route name and normalized request body
+function cacheKey(route, body) {
+    const hash = crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex').slice(0, 32);
+    return `${route}-${hash}`;
+}
+
+// TTL cache with coalescing of identical in-flight requests.
+// get(route, body, fetcher) resolves to { value, status, age } where status is HIT, MISS or COALESCED.
+function createResponseCache({ store = createMemoryStore(), ttlMs = 5 * 60 * 1000 } = {}) {
+    const inFlight = new Map();
+    const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+    async function get(route, body, fetcher) {
+        const key = cacheKey(route, body);
+        const now = Date.now();
+        const cached = await store.get(key);
+
+        if (cached && cached.expiresAt > now) {
+            stats.hits += 1;
+            return { value: cached.value, status: 'HIT', age: Math.floor((now - cached.createdAt) / 1000) };
+        }
+
+        if (inFlight.has(key)) {
+            stats.coalesced += 1;
+            const value = await inFlight.get(key);
+            return { value, status: 'COALESCED', age: 0 };
+        }
+
+        stats.misses += 1;
+        const pending = (async () => {
+            const value = await fetcher();
+            const createdAt = Date.now();
+            await store.set(key, { value, route, createdAt, expiresAt: createdAt + ttlMs });
+            return value;
+        })();
+        inFlight.set(key, pending);
+
+        try {
+            return { value: await pending, status: 'MISS', age: 0 };
+        } finally {
+            inFlight.delete(key);
+        }
+    }
+
+    // Summary of the cache for the admin route; expired entries are dropped as they are listed
+    async function inspect() {
+        const now = Date.now();
+        const entries = [];
+        for (const [key, entry] of await store.entries()) {
+            if (entry.expiresAt <= now) {
+                await store.delete(key);
+                continue;
+            }
+            entries.push({
+                key,
+                route: entry.route,
+                ageSeconds: Math.floor((now - entry.createdAt) / 1000),
+                expiresInSeconds: Math.ceil((entry.expiresAt - now) / 1000),
+            });
+        }
+        return { ttlSeconds: Math.round(ttlMs / 1000), inFlight: inFlight.size, stats: { ...stats }, entries };
+    }
+
+    // Remove one entry by key, or everything when no key is given
+    async function purge(key) {
+        if (key && !/^[\w-]+$/.test(key)) return 0;
+        if (key) return (await store.delete(key)) ? 1 : 0;
+        const count = (await store.entries()).length;
+        await store.clear();
+        return count;
+    }
+
+    return { get, inspect, purge };
+}
+
+module.exports = { createMemoryStore, createFileStore, createResponseCache, cacheKey, stableStringify };
@@ -0,0 +1,51 @@
+// Structured API errors.
+// Every error response has the shape { code, detail, requestId, fields?, retryAfter?, originalError?, fixture? }:
+//   code           machine-readable error code (see ERROR_CODES)
+//   detail         human-readable message, safe to show to users
+//   requestId      the request's correlation ID, also sent as X-Request-Id
+//   fields         field-level validation errors: [{ field, message }]
+//   retryAfter     seconds until a rate-limited client may retry (also sent as Retry-After)
+//   originalError  the USAspending error body, when the error came from upstream
+//   fixture        the fixture file a replayed request looked for (FIXTURE_NOT_RECORDED)
+const ERROR_CODES = {
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    INVALID_JSON: 'INVALID_JSON',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+    UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+    FIXTURE_NOT_RECORDED: 'FIXTURE_NOT_RECORDED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+function sendError(res, status, code, detail, extra = {}) {
+    res.locals.errorCode = code; // Counted per route in /metrics
+    return res.status(status).json({ code, detail, requestId: res.req.id, ...extra });
+}
+
+// Respond with an error from the upstream client (lib/upstream.js). Upstream HTTP errors pass their status
+// and body through; timeouts become 504, an open circuit breaker becomes 503 with Retry-After, and a request
+// missing from the replay fixtures becomes 404 naming the fixture file it looked for.
+function sendUpstreamError(res, error, context) {
+    res.req.log.error(`Error proxying ${context} request`, { error });
+    if (error.code === 'UPSTREAM_UNAVAILABLE') {
+        const retryAfter = Math.max(1, Math.ceil((error.retryAfterMs || 0) / 1000));
+        res.setHeader('Retry-After', String(retryAfter));
+        return sendError(res, 503, ERROR_CODES.UPSTREAM_UNAVAILABLE, error.message, { retryAfter });
+    }
+    if (error.code === 'FIXTURE_NOT_RECORDED') {
+        return sendError(res, 404, ERROR_CODES.FIXTURE_NOT_RECORDED, error.message, { fixture: error.fixture });
+    }
+    if (!error.response && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+        return sendError(res, 504, ERROR_CODES.UPSTREAM_TIMEOUT, 'USA Spending API took too long to respond. Please try again.');
+    }
+    return sendError(res, error.response ? error.response.status : 500, ERROR_CODES.UPSTREAM_ERROR, 'Error proxying request to USA Spending API.', {
+        originalError: error.response ? error.response.data : null,
+    });
+}
+
+module.exports = { ERROR_CODES, sendError, sendUpstreamError };
@@ -0,0 +1,137 @@
+const ExcelJS = require('exceljs');
+
+// Fields requested from spending_by_award when the client does not supply its own list.
+// Kept in sync with the fields fetchResults() asks for in public/script.js.
+const DEFAULT_EXPORT_FIELDS = [
+    'Awarding Agency', 'Awarding Agency Code', 'Awarding Sub Agency', 'Awarding Sub Agency Code',
+    'Funding Agency', 'Funding Agency Code', 'Funding Sub Agency', 'Funding Sub Agency Code',
+    'Award ID', 'Award Amount', 'Infrastructure Outlays', 'Infrastructure Obligations',
+    'Description', 'Award Type', 'Primary Place of Performance', 'Last Modified Date',
+    'Base Obligation Date', 'Recipient Name', 'Recipient UEI', 'recipient_id', 'prime_award_recipient_id',
+];
+
+// Columns spending_by_award (prime awards) and spending_by_transaction always return in addition to the requested fields
+const ALWAYS_RETURNED_COLUMNS = ['generated_internal_id'];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    json: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Flatten a cell value into something a spreadsheet can hold.
+// Nested objects (e.g. Primary Place of Performance) are serialized as JSON.
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+// Quote a value for CSV output when it contains a delimiter, quote or newline.
+// Text starting with =, +, - or @ gets a leading apostrophe so spreadsheets do not run it as a formula
+// (award descriptions come from outside sources); numbers such as negative amounts are left alone.
+function toCsvValue(value) {
+    let text = String(toCellValue(value));
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Columns written for the requested fields: the fields, then any extra columns not already requested
+function exportColumns(fields, extraColumns = ALWAYS_RETURNED_COLUMNS) {
+    return [...fields, ...extraColumns.filter(column => !fields.includes(column))];
+}
+
+// One page of results as CSV text, with the same columns as a streamed CSV export
+function pageToCsv(fields, rows) {
+    const columns = exportColumns(fields);
+    const lines = [columns.map(toCsvValue).join(','), ...rows.map(row => columns.map(column => toCsvValue(row[column])).join(','))];
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Write a chunk to the response, waiting for the socket to drain when its buffer is full.
+// A response closed by a disconnected client never drains, so closing or failing also ends the wait.
+function write(stream, chunk) {
+    if (stream.destroyed || stream.write(chunk)) return Promise.resolve();
+    return new Promise((resolve) => {
+        const done = () => {
+            stream.off('drain', done);
+            stream.off('close', done);
+            stream.off('error', done);
+            resolve();
+        };
+        stream.on('drain', done);
+        stream.on('close', done);
+        stream.on('error', done);
+    });
+}
+
+// Create a row writer for the requested format.
+// Each writer exposes writeHeader(), writeRow(award) and end().
+function createWriter(format, stream, columns) {
+    if (format === 'csv') {
+        return {
+            writeHeader: () => write(stream, columns.map(toCsvValue).join(',') + '\r\n'),
+            writeRow: award => write(stream, columns.map(column => toCsvValue(award[column])).join(',') + '\r\n'),
+            end: async () => stream.end(),
+        };
+    }
+
+    if (format === 'json') {
+        return {
+            writeHeader: async () => {},
+            writeRow: award => {
+                const record = {};
+                columns.forEach(column => { record[column] = award[column] ?? null; });
+                return write(stream, JSON.stringify(record) + '\n');
+            },
+            end: async () => stream.end(),
+        };
+    }
+
+    // XLSX: the streaming workbook writer flushes committed rows straight to the response
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Awards');
+    return {
+        writeHeader: async () => worksheet.addRow(columns).commit(),
+        writeRow: async award => worksheet.addRow(columns.map(column => toCellValue(award[column]))).commit(),
+        end: async () => {
+            worksheet.commit();
+            await workbook.commit();
+        },
+    };
+}
+
+// Stream every page of a search in the requested format.
+// fetchPage(page) must resolve to the upstream response body for that page; extraColumns are written
+// after the requested fields (subaward searches return none).
+// Stops early when the stream is destroyed or isCancelled() returns true (client disconnected), or when
+// maxRows is reached.
+async function streamExport({ stream, format, fields, fetchPage, maxRows, isCancelled = () => false, extraColumns = ALWAYS_RETURNED_COLUMNS }) {
+    const columns = exportColumns(fields, extraColumns);
+    const writer = createWriter(format, stream, columns);
+    const stopped = () => stream.destroyed || isCancelled();
+    let rowsWritten = 0;
+    let page = 1;
+    let hasNext = true;
+
+    await writer.writeHeader();
+
+    while (hasNext && rowsWritten < maxRows && !stopped()) {
+        const data = await fetchPage(page);
+        const results = data.results || [];
+
+        for (const award of results) {
+            if (rowsWritten >= maxRows || stopped()) break;
+            await writer.writeRow(award);
+            rowsWritten += 1;
+        }
+
+        hasNext = Boolean(data.page_metadata && data.page_metadata.hasNext) && results.length > 0;
+        page += 1;
+    }
+
+    if (!stream.destroyed) await writer.end();
+    return rowsWritten;
+}
+
+module.exports = { DEFAULT_EXPORT_FIELDS, EXPORT_FORMATS, streamExport, pageToCsv, toCsvValue };
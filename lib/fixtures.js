@@ -0,0 +1,93 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { stableStringify } = require('./cache');
+const { isRetryable } = require('./upstream');
+
+// Record/replay transport for the upstream client (passed to createUpstreamClient as `http`).
+//   record  calls USA Spending and saves every response to `dir`, one JSON file per distinct request
+//   replay  serves the saved responses without network access; a request that was never recorded fails
+//           with code FIXTURE_NOT_RECORDED, which the API returns as a 404 naming the missing fixture
+// Requests are keyed by method, path, query params and body with object keys sorted, so the same search
+// always maps to the same file however its body was built. Throttled, 5xx and network failures are not
+// recorded, so a flaky moment during recording is not replayed forever; other 4xx responses are.
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+// The parts of an axios request config that identify it, with the path relative to the base URL
+function describeRequest(config, baseUrl) {
+    return {
+        method: String(config.method || 'get').toUpperCase(),
+        path: config.url.startsWith(baseUrl) ? config.url.slice(baseUrl.length) : config.url,
+        params: config.params || null,
+        body: config.data === undefined ? null : config.data,
+    };
+}
+
+// Fixture file name: the method and path for readability, plus a hash of the normalized request
+function fixtureFileName(request) {
+    const hash = crypto.createHash('sha256').update(stableStringify(request)).digest('hex').slice(0, 16);
+    const slug = request.path.replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || 'root';
+    return `${request.method.toLowerCase()}_${slug}_${hash}.json`;
+}
+
+function createFixtureTransport({ mode, dir, baseUrl, http = axios }) {
+    if (!FIXTURE_MODES.includes(mode)) {
+        throw new Error(`Unknown upstream mode "${mode}". Use live, record or replay.`);
+    }
+    const root = baseUrl.replace(/\/+$/, '');
+    const ready = mode === 'record' ? fs.mkdir(dir, { recursive: true }) : Promise.resolve();
+
+    async function replay(request, file) {
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            const missing = new Error(`No recorded USA Spending response for ${request.method} ${request.path} with this request body. Run the server with UPSTREAM_MODE=record to capture it.`);
+            missing.code = 'FIXTURE_NOT_RECORDED';
+            missing.fixture = file;
+            throw missing;
+        }
+
+        // Recorded error responses are thrown the way axios throws them
+        const response = { status: fixture.response.status, headers: {}, data: fixture.response.data };
+        if (response.status >= 400) {
+            const error = new Error(`Request failed with status code ${response.status}`);
+            error.response = response;
+            throw error;
+        }
+        return response;
+    }
+
+    async function record(config, request, file) {
+        let response;
+        let failure = null;
+        try {
+            response = await http.request(config);
+        } catch (error) {
+            if (!error.response || isRetryable(error)) throw error;
+            failure = error;
+            response = error.response;
+        }
+
+        await ready;
+        const fixture = { request, response: { status: response.status, data: response.data }, recordedAt: new Date().toISOString() };
+        await fs.writeFile(path.join(dir, file), `${JSON.stringify(fixture, null, 2)}\n`);
+        if (failure) throw failure;
+        return response;
+    }
+
+    return {
+        mode,
+        dir,
+        request(config) {
+            const request = describeRequest(config, root);
+            const file = fixtureFileName(request);
+            return mode === 'replay' ? replay(request, file) : record(config, request, file);
+        },
+    };
+}
+
+module.exports = { createFixtureTransport, fixtureFileName, FIXTURE_MODES };
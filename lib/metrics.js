@@ -0,0 +1,92 @@
+// Minimal Prometheus metrics registry (text exposition format 0.0.4).
+//   const requests = registry.counter('http_requests_total', 'Requests served', ['route', 'status']);
+//   requests.inc({ route: '/api/search', status: 200 });
+//   registry.render() -> text for GET /metrics
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed on their label values in label-name order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        metrics.push({
+            render: () => [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} counter`,
+                ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+            ],
+        });
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                entry.value += amount;
+                series.set(key, entry);
+            },
+        };
+    }
+
+    // Gauges read their value when metrics are rendered
+    function gauge(name, help, collect) {
+        metrics.push({
+            render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`],
+        });
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map();
+        metrics.push({
+            render: () => [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} histogram`,
+                ...[...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                    ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                    `${name}_sum${formatLabels(labels)} ${sum}`,
+                    `${name}_count${formatLabels(labels)} ${count}`,
+                ]),
+            ],
+        });
+        return {
+            observe(labels, value) {
+                const key = seriesKey(labelNames, labels);
+                const entry = series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) entry.counts[index] += 1;
+                });
+                entry.sum += value;
+                entry.count += 1;
+                series.set(key, entry);
+            },
+        };
+    }
+
+    return {
+        counter,
+        gauge,
+        histogram,
+        render: () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`,
+    };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
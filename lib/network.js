@@ -0,0 +1,88 @@
+const net = require('net');
+const dns = require('dns');
+
+// IP address checks for routes that should only be reachable from the server's own machine, and for outgoing
+// requests to user-supplied URLs (saved search webhooks), which must not reach loopback, link-local (cloud
+// metadata) or private network addresses.
+
+// Strip the IPv4-mapped IPv6 prefix (::ffff:127.0.0.1) so one check covers both forms
+function normalizeAddress(address) {
+    const text = String(address || '');
+    return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(text) ? text.slice(7) : text;
+}
+
+// True for 127.0.0.0/8 and ::1
+function isLoopbackAddress(address) {
+    const ip = normalizeAddress(address);
+    if (net.isIPv4(ip)) return ip.startsWith('127.');
+    return net.isIPv6(ip) && ip === '::1';
+}
+
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8, 'ipv4'], // "This" network
+    ['10.0.0.0', 8, 'ipv4'], // Private
+    ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'], // Loopback
+    ['169.254.0.0', 16, 'ipv4'], // Link-local, including cloud metadata services
+    ['172.16.0.0', 12, 'ipv4'], // Private
+    ['192.168.0.0', 16, 'ipv4'], // Private
+    ['224.0.0.0', 3, 'ipv4'], // Multicast and reserved
+    ['::', 128, 'ipv6'], // Unspecified
+    ['::1', 128, 'ipv6'], // Loopback
+    ['64:ff9b::', 96, 'ipv6'], // NAT64, which translates to the embedded IPv4 address
+    ['fc00::', 7, 'ipv6'], // Unique local
+    ['fe80::', 10, 'ipv6'], // Link-local
+    ['fec0::', 10, 'ipv6'], // Site-local (deprecated, still routed internally by some networks)
+    ['ff00::', 8, 'ipv6'], // Multicast
+].forEach(([address, prefix, type]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, type));
+
+// True for loopback, link-local, private and reserved addresses, and for anything that is not an IP address
+function isPrivateAddress(address) {
+    const ip = normalizeAddress(address);
+    if (net.isIPv4(ip)) return NON_PUBLIC_RANGES.check(ip, 'ipv4');
+    if (net.isIPv6(ip)) return NON_PUBLIC_RANGES.check(ip, 'ipv6');
+    return true;
+}
+
+function privateAddressError(hostname) {
+    const error = new Error(`${hostname} resolves to a private or loopback address.`);
+    error.code = 'PRIVATE_ADDRESS';
+    return error;
+}
+
+// dns.lookup() replacement for outgoing requests (the `lookup` option of http.request and axios) that fails
+// when the host resolves to a non-public address. Checking at connect time also covers DNS rebinding.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(privateAddressError(hostname));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// Check that a URL is http(s) and that its host resolves only to public addresses.
+// Resolves to an error message for the user, or null when the URL is acceptable.
+async function checkPublicUrl(text) {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (error) {
+        return 'must be a valid URL.';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'must start with http:// or https://.';
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, ''); // IPv6 literals are bracketed
+    if (net.isIP(hostname)) return isPrivateAddress(hostname) ? 'must not point to a private or loopback address.' : null;
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        return addresses.some(entry => isPrivateAddress(entry.address)) ? 'must not point to a private or loopback address.' : null;
+    } catch (error) {
+        return `host "${hostname}" could not be resolved.`;
+    }
+}
+
+module.exports = { isLoopbackAddress, isPrivateAddress, normalizeAddress, publicLookup, checkPublicUrl };
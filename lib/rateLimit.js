@@ -0,0 +1,66 @@
+const { ERROR_CODES, sendError } = require('./errors');
+
+// Per-client token bucket rate limiting.
+// Each client starts with `capacity` tokens and regains `refillPerSecond` tokens per second;
+// a request spends `cost` tokens and is rejected when the bucket cannot cover it.
+function createRateLimiter({ capacity = 60, refillPerSecond = 1, maxClients = 10000, now = Date.now } = {}) {
+    const buckets = new Map();
+
+    // Buckets that have refilled completely hold no state worth keeping
+    function sweep(time) {
+        buckets.forEach((bucket, key) => {
+            if (bucket.tokens + ((time - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) buckets.delete(key);
+        });
+    }
+
+    // Spend tokens for a client. Returns { allowed, remaining, retryAfterSeconds }.
+    function take(key, cost = 1) {
+        const time = now();
+        if (buckets.size >= maxClients && !buckets.has(key)) {
+            sweep(time);
+            // Still full: drop the least recently used bucket so the map stays bounded. Its client starts over
+            // with a full bucket, which only matters when more than maxClients clients are active at once.
+            if (buckets.size >= maxClients) buckets.delete(buckets.keys().next().value);
+        }
+
+        const bucket = buckets.get(key) || { tokens: capacity, updatedAt: time };
+        bucket.tokens = Math.min(capacity, bucket.tokens + ((time - bucket.updatedAt) / 1000) * refillPerSecond);
+        bucket.updatedAt = time;
+        buckets.delete(key); // Re-inserted to keep the map in least recently used order
+        buckets.set(key, bucket);
+
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterSeconds: 0 };
+        }
+        return {
+            allowed: false,
+            remaining: Math.floor(bucket.tokens),
+            retryAfterSeconds: Math.ceil((cost - bucket.tokens) / refillPerSecond),
+        };
+    }
+
+    return { take, capacity };
+}
+
+// Express middleware spending `cost` tokens per request from the client IP's bucket.
+// `cost` is the request's total: tokens already spent by an earlier rateLimit() on the same request (such as
+// one mounted on every /api route) count toward it, so a route costing 10 behind it spends 10, not 11.
+// A cost above the limiter's capacity could never be allowed, so it is rejected when the route is set up.
+function rateLimit(limiter, cost = 1) {
+    if (cost > limiter.capacity) {
+        throw new Error(`Rate limit cost ${cost} exceeds the rate limit capacity of ${limiter.capacity}. Raise the capacity to at least ${cost}.`);
+    }
+    return (req, res, next) => {
+        const spent = req.rateLimitSpent || 0;
+        const { allowed, retryAfterSeconds } = limiter.take(req.ip, Math.max(0, cost - spent));
+        if (!allowed) {
+            res.setHeader('Retry-After', String(retryAfterSeconds));
+            return sendError(res, 429, ERROR_CODES.RATE_LIMITED, `Too many requests. Try again in ${retryAfterSeconds} seconds.`, { retryAfter: retryAfterSeconds });
+        }
+        req.rateLimitSpent = Math.max(spent, cost);
+        next();
+    };
+}
+
+module.exports = { createRateLimiter, rateLimit };
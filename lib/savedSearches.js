@@ -0,0 +1,238 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+// Fields fetched when re-running a saved search. Award ID and Last Modified Date drive the diff.
+const SAVED_SEARCH_FIELDS = [
+    'Award ID', 'Recipient Name', 'Award Amount', 'Awarding Agency', 'Awarding Sub Agency',
+    'Award Type', 'Description', 'Last Modified Date',
+];
+
+// How many new/modified awards are kept from the most recent run for display
+const RECENT_AWARDS_LIMIT = 100;
+
+// Identify an award across runs; generated_internal_id is stable, Award ID is the fallback
+function awardKey(award) {
+    return award.generated_internal_id || award['Award ID'];
+}
+
+// Compare a run's awards against the awards seen previously.
+// Returns the awards that are new, the ones whose Last Modified Date changed, and the updated seen map.
+// Previously seen awards are kept so one that drops out of a capped run is not reported as new when it returns.
+function diffAwards(previousSeen, awards) {
+    const seen = { ...previousSeen };
+    const newAwards = [];
+    const modifiedAwards = [];
+
+    awards.forEach((award) => {
+        const key = awardKey(award);
+        if (!key) return;
+        const lastModified = award['Last Modified Date'] || null;
+        seen[key] = lastModified;
+
+        if (!(key in previousSeen)) {
+            newAwards.push(award);
+        } else if (previousSeen[key] !== lastModified) {
+            modifiedAwards.push(award);
+        }
+    });
+
+    return { newAwards, modifiedAwards, seen };
+}
+
+// The public view of a saved search (the seen map can hold thousands of keys)
+function summarize(search) {
+    const { seen, recentNew, recentModified, ...summary } = search;
+    return summary;
+}
+
+// Saved searches persisted to a JSON file, re-run on a schedule.
+// fetchPage(requestBody) resolves to a spending_by_award response body.
+// notify(search, newAwards, modifiedAwards) is called when a run finds new awards and a webhook is configured.
+// resolveFilters(search) returns the filters for a run; by default the filters saved with the search.
+function createSavedSearchService({ file, fetchPage, notify, logger = createLogger(), resolveFilters = search => search.filters, maxRows = 5000, pageSize = 100 }) {
+    let searches = null;
+    let writeQueue = Promise.resolve();
+    const running = new Set();
+
+    async function load() {
+        if (searches) return searches;
+        try {
+            searches = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            searches = [];
+        }
+        return searches;
+    }
+
+    // Writes are queued so concurrent runs never interleave, and go through a temp file so a crash cannot truncate the store
+    function save() {
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(searches, null, 2));
+            await fs.rename(tempFile, file);
+        });
+        return writeQueue;
+    }
+
+    async function find(id) {
+        return (await load()).find(search => search.id === id);
+    }
+
+    // False once the search has been deleted, e.g. by a request that arrived during a run
+    async function isSaved(search) {
+        return (await load()).includes(search);
+    }
+
+    async function list() {
+        return (await load()).map(summarize);
+    }
+
+    async function get(id) {
+        const search = await find(id);
+        if (!search) return null;
+        return { ...summarize(search), recentNew: search.recentNew, recentModified: search.recentModified };
+    }
+
+    async function create({ name, filters, query, webhookUrl }) {
+        const search = {
+            id: crypto.randomUUID(),
+            name,
+            filters,
+            query: query || null,
+            webhookUrl: webhookUrl || null,
+            createdAt: new Date().toISOString(),
+            baselineAt: null,
+            lastRunAt: null,
+            lastRunStatus: null,
+            lastRunError: null,
+            lastRunTotal: 0,
+            unseenNewCount: 0,
+            seen: {},
+            recentNew: [],
+            recentModified: [],
+        };
+        (await load()).push(search);
+        await save();
+        return summarize(search);
+    }
+
+    async function remove(id) {
+        const all = await load();
+        const index = all.findIndex(search => search.id === id);
+        if (index === -1) return false;
+        const [removed] = all.splice(index, 1);
+        removed.seen = {}; // A run still in flight holds the object; let its award keys go now
+        await save();
+        return true;
+    }
+
+    // Reset the new-hit badge once the user has looked at the results
+    async function acknowledge(id) {
+        const search = await find(id);
+        if (!search) return null;
+        search.unseenNewCount = 0;
+        await save();
+        return summarize(search);
+    }
+
+    // Walk every page of the saved filters (up to maxRows), most recently modified first
+    async function fetchAll(filters) {
+        const awards = [];
+        let page = 1;
+        let hasNext = true;
+        while (hasNext && awards.length < maxRows) {
+            const data = await fetchPage({
+                filters,
+                fields: SAVED_SEARCH_FIELDS,
+                sort: 'Last Modified Date',
+                order: 'desc',
+                limit: pageSize,
+                page,
+            });
+            const results = data.results || [];
+            awards.push(...results);
+            hasNext = Boolean(data.page_metadata && data.page_metadata.hasNext) && results.length > 0;
+            page += 1;
+        }
+        return awards.slice(0, maxRows);
+    }
+
+    // Re-execute one saved search and record what changed since its previous run.
+    // The first run only establishes the baseline, so it never reports new awards.
+    // Resolves to null when the search does not exist or is deleted before the run finishes.
+    async function run(id) {
+        const search = await find(id);
+        if (!search) return null;
+        if (running.has(id)) return summarize(search);
+        running.add(id);
+
+        try {
+            const awards = await fetchAll(resolveFilters(search));
+            if (!(await isSaved(search))) return null; // Deleted while its pages were being fetched
+            const isBaseline = !search.baselineAt;
+            const { newAwards, modifiedAwards, seen } = diffAwards(search.seen, awards);
+            const reportedNew = isBaseline ? [] : newAwards;
+
+            search.seen = seen;
+            search.baselineAt = search.baselineAt || new Date().toISOString();
+            search.lastRunAt = new Date().toISOString();
+            search.lastRunStatus = 'ok';
+            search.lastRunError = null;
+            search.lastRunTotal = awards.length;
+            search.lastRunNewCount = reportedNew.length;
+            search.lastRunModifiedCount = modifiedAwards.length;
+            search.unseenNewCount += reportedNew.length;
+            if (reportedNew.length > 0 || modifiedAwards.length > 0) {
+                search.recentNew = reportedNew.slice(0, RECENT_AWARDS_LIMIT);
+                search.recentModified = modifiedAwards.slice(0, RECENT_AWARDS_LIMIT);
+            }
+            await save();
+
+            // Check again after the save: deleting a search also stops its pending webhook call
+            if (reportedNew.length > 0 && search.webhookUrl && await isSaved(search)) {
+                try {
+                    await notify(summarize(search), reportedNew, modifiedAwards);
+                } catch (error) {
+                    logger.warn('Error calling saved search webhook', { searchId: search.id, searchName: search.name, error });
+                }
+            }
+        } catch (error) {
+            logger.error('Error running saved search', { searchId: search.id, searchName: search.name, error });
+            search.lastRunAt = new Date().toISOString();
+            search.lastRunStatus = 'error';
+            search.lastRunError = error.message;
+            await save();
+        } finally {
+            running.delete(id);
+        }
+
+        return summarize(search);
+    }
+
+    // Run every saved search whose last run is older than intervalMs, one at a time
+    async function runDue(intervalMs) {
+        const now = Date.now();
+        for (const search of [...(await load())]) {
+            if (!search.lastRunAt || now - Date.parse(search.lastRunAt) >= intervalMs) {
+                await run(search.id);
+            }
+        }
+    }
+
+    // Check for due searches every minute; the timer does not keep the process alive
+    function startScheduler(intervalMs) {
+        const timer = setInterval(() => {
+            runDue(intervalMs).catch(error => logger.error('Error running scheduled saved searches', { error }));
+        }, Math.min(intervalMs, 60 * 1000));
+        timer.unref();
+        return timer;
+    }
+
+    return { list, get, create, remove, acknowledge, run, runDue, startScheduler };
+}
+
+module.exports = { createSavedSearchService, diffAwards, SAVED_SEARCH_FIELDS };
@@ -0,0 +1,165 @@
+const axios = require('axios');
+
+// Shared client for the USAspending API.
+// Every call gets a timeout; 429 and 5xx responses (and dropped connections) are retried with jittered
+// exponential backoff, waiting for Retry-After when the upstream sends one. A circuit breaker opens after
+// consecutive failures so requests fail fast while the upstream is down, then lets one trial call through
+// after resetMs to decide whether to close again.
+//
+// get(path, { params, retries }) and post(path, body, { retries }) resolve to the response body.
+// onAttempt({ method, path, status, durationMs, attempt }) runs after every attempt, for metrics;
+// status is the HTTP status, or 'timeout'/'network'/'unrecorded' when no response arrived.
+// Failures reject with the axios error (error.response holds the upstream status and body), or with an
+// error whose code is UPSTREAM_UNAVAILABLE while the circuit is open.
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND'];
+
+// Parse Retry-After (delta seconds or an HTTP date) into milliseconds
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Worth retrying: throttled, upstream errors, or a connection that dropped before a response
+function isRetryable(error) {
+    if (error.response) return error.response.status === 429 || error.response.status >= 500;
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Counts against the circuit breaker: the upstream is failing, not rejecting our request.
+// A request missing from replay fixtures (lib/fixtures.js) says nothing about the upstream.
+function isUpstreamFailure(error) {
+    if (error.response) return error.response.status >= 500;
+    return error.code !== 'FIXTURE_NOT_RECORDED';
+}
+
+// Metric status for a failed attempt
+function attemptStatus(error) {
+    if (error.response) return error.response.status;
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    return error.code === 'FIXTURE_NOT_RECORDED' ? 'unrecorded' : 'network';
+}
+
+function createCircuitBreaker({ threshold = 5, resetMs = 30000, now = Date.now }) {
+    let state = 'closed';
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+    let lastFailure = null;
+
+    // An open circuit becomes half-open once resetMs has passed
+    function currentState() {
+        if (state === 'open' && now() - openedAt >= resetMs) state = 'half-open';
+        return state;
+    }
+
+    return {
+        // Whether a call may go out now. While half-open only one trial call is allowed.
+        allow() {
+            currentState();
+            if (state === 'closed') return true;
+            if (state === 'half-open' && !trialInFlight) {
+                trialInFlight = true;
+                return true;
+            }
+            return false;
+        },
+        success() {
+            state = 'closed';
+            consecutiveFailures = 0;
+            trialInFlight = false;
+        },
+        failure(error) {
+            consecutiveFailures += 1;
+            trialInFlight = false;
+            lastFailure = { at: new Date(now()).toISOString(), message: error.response ? `HTTP ${error.response.status}` : error.message };
+            if (state === 'half-open' || consecutiveFailures >= threshold) {
+                state = 'open';
+                openedAt = now();
+            }
+        },
+        // A call that was allowed but ended without a verdict (e.g. a 4xx) frees the trial slot
+        release() {
+            trialInFlight = false;
+        },
+        retryAfterMs() {
+            return state === 'open' ? Math.max(0, resetMs - (now() - openedAt)) : 0;
+        },
+        status() {
+            return { state: currentState(), consecutiveFailures, lastFailure };
+        },
+    };
+}
+
+function createUpstreamClient({
+    baseUrl = 'https://api.usaspending.gov/api/v2',
+    timeoutMs = 15000,
+    maxRetries = 2,
+    retryBaseMs = 500,
+    retryMaxMs = 8000,
+    breakerThreshold = 5,
+    breakerResetMs = 30000,
+    http = axios,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random,
+    now = Date.now,
+    onAttempt = () => {},
+} = {}) {
+    const root = baseUrl.replace(/\/+$/, '');
+    const breaker = createCircuitBreaker({ threshold: breakerThreshold, resetMs: breakerResetMs, now });
+
+    // Full jitter: a random delay up to the exponential backoff cap for this attempt
+    function backoffMs(attempt) {
+        return Math.round(random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+    }
+
+    function unavailableError() {
+        const error = new Error('USA Spending API is temporarily unavailable. Please try again shortly.');
+        error.code = 'UPSTREAM_UNAVAILABLE';
+        error.retryAfterMs = breaker.retryAfterMs();
+        return error;
+    }
+
+    async function request(config, { retries = maxRetries } = {}) {
+        for (let attempt = 0; ; attempt += 1) {
+            if (!breaker.allow()) throw unavailableError();
+
+            const startedAt = now();
+            const report = status => onAttempt({ method: config.method, path: config.url, status, durationMs: now() - startedAt, attempt });
+            try {
+                const response = await http.request({
+                    ...config,
+                    url: `${root}${config.url}`,
+                    timeout: timeoutMs,
+                    headers: { 'Content-Type': 'application/json', ...config.headers },
+                });
+                report(response.status);
+                breaker.success();
+                return response.data;
+            } catch (error) {
+                report(attemptStatus(error));
+                if (isUpstreamFailure(error)) breaker.failure(error);
+                else breaker.release();
+
+                if (attempt >= retries || !isRetryable(error)) throw error;
+
+                // Honor Retry-After, but give up rather than hold the request open longer than retryMaxMs
+                const retryAfter = error.response ? parseRetryAfter(error.response.headers && error.response.headers['retry-after'], now()) : null;
+                if (retryAfter !== null && retryAfter > retryMaxMs) throw error;
+                await sleep(retryAfter !== null ? retryAfter : backoffMs(attempt));
+            }
+        }
+    }
+
+    return {
+        baseUrl: root,
+        get: (path, { params, ...options } = {}) => request({ method: 'get', url: path, params }, options),
+        post: (path, body, options) => request({ method: 'post', url: path, data: body }, options),
+        status: () => ({ baseUrl: root, circuit: breaker.status() }),
+    };
+}
+
+module.exports = { createUpstreamClient, createCircuitBreaker, parseRetryAfter, isRetryable };
@@ -0,0 +1,410 @@
+const { ERROR_CODES, sendError } = require('./errors');
+const { AWARD_TYPE_GROUPS, MIN_KEYWORD_LENGTH } = require('../public/filterModel');
+
+// Request body validation for the proxy routes.
+// Each validator returns a list of field errors ({ field, message }); an empty list means the body is valid.
+// Bodies are allowlisted: unknown keys are rejected rather than forwarded to USAspending.
+
+// Every field the app requests from spending_by_award
+const AWARD_FIELDS = [
+    'Award ID', 'Recipient Name', 'Recipient UEI', 'recipient_id', 'prime_award_recipient_id',
+    'Award Amount', 'Total Outlays', 'Description', 'Award Type', 'def_codes',
+    'Awarding Agency', 'Awarding Agency Code', 'Awarding Sub Agency', 'Awarding Sub Agency Code',
+    'Funding Agency', 'Funding Agency Code', 'Funding Sub Agency', 'Funding Sub Agency Code',
+    'Start Date', 'End Date', 'Base Obligation Date', 'Last Modified Date', 'Last Date to Order',
+    'Contract Award Type', 'Primary Place of Performance', 'Place of Performance State Code',
+    'Place of Performance Zip5', 'NAICS', 'PSC', 'CFDA Number', 'Assistance Listings',
+    'Infrastructure Outlays', 'Infrastructure Obligations', 'generated_internal_id',
+];
+
+// Every field the app requests from spending_by_award with subawards: true
+const SUBAWARD_FIELDS = [
+    'Sub-Award ID', 'Sub-Award Type', 'Sub-Awardee Name', 'Sub-Recipient UEI', 'Sub-Award Date',
+    'Sub-Award Amount', 'Sub-Award Description', 'Awarding Agency', 'Awarding Sub Agency',
+    'Prime Award ID', 'Prime Recipient Name', 'Prime Award Recipient UEI', 'prime_award_recipient_id',
+    'prime_award_generated_internal_id',
+];
+
+// Every field the app requests from spending_by_transaction
+const TRANSACTION_FIELDS = [
+    'Award ID', 'Mod', 'Recipient Name', 'Recipient UEI', 'Action Date', 'Action Type',
+    'Transaction Amount', 'Transaction Description', 'Award Type', 'Awarding Agency', 'Awarding Sub Agency',
+    'Funding Agency', 'Funding Sub Agency', 'Primary Place of Performance', 'generated_internal_id',
+];
+
+// Fields allowed per search mode (prime awards, subawards, transactions)
+const SEARCH_MODE_FIELDS = {
+    awards: AWARD_FIELDS,
+    subawards: SUBAWARD_FIELDS,
+    transactions: TRANSACTION_FIELDS,
+};
+
+const AWARD_TYPE_CODES = [
+    'A', 'B', 'C', 'D', '-1',
+    'IDV_A', 'IDV_B', 'IDV_B_A', 'IDV_B_B', 'IDV_B_C', 'IDV_C', 'IDV_D', 'IDV_E',
+    '02', '03', '04', '05', '06', '07', '08', '09', '10', '11',
+];
+// USAspending recipient IDs are a hash plus a level: P (parent), C (child) or R (recipient without a parent)
+const RECIPIENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-[PCR]$/i;
+const UEI_PATTERN = /^[A-Z0-9]{12}$/i;
+const DATE_TYPES = ['action_date', 'date_signed', 'last_modified_date', 'new_awards_only'];
+const SCOPES = ['domestic', 'foreign'];
+const MAX_LIST_LENGTH = 100;
+const MAX_TEXT_LENGTH = 200;
+const MAX_PAGE = 10000;
+
+// Query parameters of GET /api/v1/awards: the search URL parameters read by searchStateFromQuery() in
+// public/filterModel.js, plus paging and output options
+const AWARDS_QUERY_FILTER_PARAMS = [
+    'keyword', 'award_type', 'agency', 'sub_agency', 'agency_function', 'date_type', 'start_date', 'end_date',
+    'period', 'naics', 'psc', 'set_aside', 'pricing', 'pop_scope', 'pop_state', 'pop_county', 'pop_zip',
+    'recipient_scope', 'recipient_state', 'recipient_county', 'recipient_zip', 'recipient', 'recipients', 'amount',
+];
+const AWARDS_QUERY_PARAMS = [...AWARDS_QUERY_FILTER_PARAMS, 'page', 'limit', 'sort', 'order', 'fields', 'format'];
+const AWARDS_QUERY_FORMATS = ['json', 'csv'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A YYYY-MM-DD string that is a real calendar date
+function isDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+// Collects field errors under a path prefix
+function createErrors() {
+    const errors = [];
+    return {
+        errors,
+        add(field, message) {
+            errors.push({ field, message });
+        },
+    };
+}
+
+// Reject keys outside the allowlist
+function checkAllowedKeys(report, value, allowed, path) {
+    Object.keys(value).forEach((key) => {
+        if (!allowed.includes(key)) report.add(path ? `${path}.${key}` : key, 'is not an allowed field.');
+    });
+}
+
+// Check that a value is an integer within [min, max]
+function checkInteger(report, value, field, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        report.add(field, `must be an integer from ${min} to ${max}.`);
+    }
+}
+
+// Check that a value is a non-empty list of strings, optionally matching a pattern or allowed values
+// or having a minimum length
+function checkStringList(report, value, field, { pattern, allowed, minLength } = {}) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH) {
+        report.add(field, `must be a list of 1 to ${MAX_LIST_LENGTH} values.`);
+        return;
+    }
+    value.forEach((item, index) => {
+        if (typeof item !== 'string' || !item.trim() || item.length > MAX_TEXT_LENGTH) {
+            report.add(`${field}[${index}]`, `must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters.`);
+        } else if (minLength && item.trim().length < minLength) {
+            report.add(`${field}[${index}]`, `"${item}" is too short; each value needs at least ${minLength} characters.`);
+        } else if (pattern && !pattern.test(item)) {
+            report.add(`${field}[${index}]`, `"${item}" is not a valid value.`);
+        } else if (allowed && !allowed.includes(item)) {
+            report.add(`${field}[${index}]`, allowed.length > 12 ? `"${item}" is not supported.` : `"${item}" is not one of: ${allowed.join(', ')}.`);
+        }
+    });
+}
+
+// Check a list of objects with a per-item check
+function checkObjectList(report, value, field, checkItem) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_LIST_LENGTH) {
+        report.add(field, `must be a list of 1 to ${MAX_LIST_LENGTH} objects.`);
+        return;
+    }
+    value.forEach((item, index) => {
+        if (!isObject(item)) report.add(`${field}[${index}]`, 'must be an object.');
+        else checkItem(item, `${field}[${index}]`);
+    });
+}
+
+// Check a NAICS/PSC filter: a code list, or { require: [...], exclude: [...] }
+function checkCodeFilter(report, value, field, pattern) {
+    if (Array.isArray(value)) {
+        checkStringList(report, value, field, { pattern });
+        return;
+    }
+    if (!isObject(value) || (!value.require && !value.exclude)) {
+        report.add(field, 'must be a list of codes or an object with require/exclude lists.');
+        return;
+    }
+    checkAllowedKeys(report, value, ['require', 'exclude'], field);
+    ['require', 'exclude'].forEach((key) => {
+        if (value[key] === undefined) return;
+        // PSC require/exclude entries may be code paths (lists of codes)
+        const flat = Array.isArray(value[key]) ? value[key].flat() : value[key];
+        checkStringList(report, flat, `${field}.${key}`, { pattern });
+    });
+}
+
+// Filter checks keyed by the USAspending advanced filter name
+const FILTER_CHECKS = {
+    keywords: (report, value, field) => checkStringList(report, value, field, { minLength: MIN_KEYWORD_LENGTH }),
+    award_type_codes: (report, value, field) => checkStringList(report, value, field, { allowed: AWARD_TYPE_CODES }),
+    time_period: (report, value, field) => checkObjectList(report, value, field, (period, path) => {
+        checkAllowedKeys(report, period, ['start_date', 'end_date', 'date_type'], path);
+        if (!isDate(period.start_date)) report.add(`${path}.start_date`, 'must be a date in YYYY-MM-DD format.');
+        if (!isDate(period.end_date)) report.add(`${path}.end_date`, 'must be a date in YYYY-MM-DD format.');
+        if (isDate(period.start_date) && isDate(period.end_date) && period.start_date > period.end_date) {
+            report.add(`${path}.end_date`, 'must be on or after start_date.');
+        }
+        if (period.date_type !== undefined && !DATE_TYPES.includes(period.date_type)) {
+            report.add(`${path}.date_type`, `must be one of: ${DATE_TYPES.join(', ')}.`);
+        }
+    }),
+    agencies: (report, value, field) => checkObjectList(report, value, field, (agency, path) => {
+        checkAllowedKeys(report, agency, ['type', 'tier', 'name', 'toptier_name'], path);
+        if (!['awarding', 'funding'].includes(agency.type)) report.add(`${path}.type`, 'must be awarding or funding.');
+        if (!['toptier', 'subtier'].includes(agency.tier)) report.add(`${path}.tier`, 'must be toptier or subtier.');
+        if (typeof agency.name !== 'string' || !agency.name.trim() || agency.name.length > MAX_TEXT_LENGTH) {
+            report.add(`${path}.name`, 'is required.');
+        }
+        if (agency.toptier_name !== undefined && typeof agency.toptier_name !== 'string') {
+            report.add(`${path}.toptier_name`, 'must be a string.');
+        }
+    }),
+    recipient_search_text: (report, value, field) => checkStringList(report, value, field),
+    recipient_id: (report, value, field) => {
+        if (typeof value !== 'string' || !RECIPIENT_ID_PATTERN.test(value)) report.add(field, 'must be a USAspending recipient ID.');
+    },
+    recipient_type_names: (report, value, field) => checkStringList(report, value, field),
+    award_ids: (report, value, field) => checkStringList(report, value, field),
+    program_numbers: (report, value, field) => checkStringList(report, value, field, { pattern: /^\d{2}\.\d{3}$/ }),
+    place_of_performance_scope: (report, value, field) => {
+        if (!SCOPES.includes(value)) report.add(field, `must be one of: ${SCOPES.join(', ')}.`);
+    },
+    recipient_scope: (report, value, field) => {
+        if (!SCOPES.includes(value)) report.add(field, `must be one of: ${SCOPES.join(', ')}.`);
+    },
+    place_of_performance_locations: (report, value, field) => checkObjectList(report, value, field, (location, path) => checkLocation(report, location, path)),
+    recipient_locations: (report, value, field) => checkObjectList(report, value, field, (location, path) => checkLocation(report, location, path)),
+    award_amounts: (report, value, field) => checkObjectList(report, value, field, (range, path) => {
+        checkAllowedKeys(report, range, ['lower_bound', 'upper_bound'], path);
+        const bounds = ['lower_bound', 'upper_bound'].filter(key => range[key] !== undefined);
+        if (bounds.length === 0) report.add(path, 'must have a lower_bound or upper_bound.');
+        bounds.forEach((key) => {
+            if (typeof range[key] !== 'number' || !Number.isFinite(range[key]) || range[key] < 0) {
+                report.add(`${path}.${key}`, 'must be a non-negative number.');
+            }
+        });
+        if (typeof range.lower_bound === 'number' && typeof range.upper_bound === 'number' && range.lower_bound > range.upper_bound) {
+            report.add(`${path}.upper_bound`, 'must be greater than or equal to lower_bound.');
+        }
+    }),
+    naics_codes: (report, value, field) => checkCodeFilter(report, value, field, /^\d{2,6}$/),
+    psc_codes: (report, value, field) => checkCodeFilter(report, value, field),
+    set_aside_type_codes: (report, value, field) => checkStringList(report, value, field, { pattern: /^[A-Z0-9]{1,10}$/ }),
+    contract_pricing_type_codes: (report, value, field) => checkStringList(report, value, field, { pattern: /^[A-Z0-9]$/ }),
+    extent_competed_type_codes: (report, value, field) => checkStringList(report, value, field, { pattern: /^[A-Z0-9]{1,5}$/ }),
+    def_codes: (report, value, field) => checkStringList(report, value, field, { pattern: /^[A-Z0-9]{1,3}$/ }),
+};
+
+// Check a USAspending location object
+function checkLocation(report, location, path) {
+    checkAllowedKeys(report, location, ['country', 'state', 'county', 'city', 'district_original', 'district_current', 'zip'], path);
+    if (typeof location.country !== 'string' || !/^[A-Z]{3}$/.test(location.country)) {
+        report.add(`${path}.country`, 'must be a 3-letter country code (e.g., USA).');
+    }
+    if (location.state !== undefined && !/^[A-Z]{2}$/.test(location.state)) report.add(`${path}.state`, 'must be a 2-letter state code.');
+    if (location.county !== undefined && !/^\d{3}$/.test(location.county)) report.add(`${path}.county`, 'must be a 3-digit county code.');
+    if (location.zip !== undefined && !/^\d{5}$/.test(location.zip)) report.add(`${path}.zip`, 'must be a 5-digit ZIP code.');
+    if (location.county !== undefined && location.state === undefined) report.add(`${path}.state`, 'is required with county.');
+}
+
+// Validate a USAspending filters object. award_type_codes is required by the award search endpoints.
+function checkFilters(report, filters, { requireAwardTypes = false } = {}) {
+    if (!isObject(filters)) {
+        report.add('filters', 'is required and must be an object.');
+        return;
+    }
+    Object.entries(filters).forEach(([key, value]) => {
+        const check = FILTER_CHECKS[key];
+        if (!check) report.add(`filters.${key}`, 'is not an allowed filter.');
+        else check(report, value, `filters.${key}`);
+    });
+    if (requireAwardTypes && filters.award_type_codes === undefined) {
+        report.add('filters.award_type_codes', 'is required.');
+    }
+}
+
+// Check the fields requested from a search endpoint against the fields allowed for its mode
+function checkFields(report, fields, allowed = AWARD_FIELDS) {
+    checkStringList(report, fields, 'fields', { allowed });
+}
+
+// Check a paged search body. spending_by_transaction has no default sort, so it can require one.
+function checkSearchBody(report, body, { fields = AWARD_FIELDS, requireSort = false } = {}) {
+    checkAllowedKeys(report, body, ['filters', 'fields', 'limit', 'page', 'sort', 'order'], '');
+    checkFilters(report, body.filters, { requireAwardTypes: true });
+    checkFields(report, body.fields, fields);
+    if (body.limit !== undefined) checkInteger(report, body.limit, 'limit', 1, 100);
+    if (body.page !== undefined) checkInteger(report, body.page, 'page', 1, MAX_PAGE);
+    if (body.sort === undefined && requireSort) {
+        report.add('sort', 'is required.');
+    } else if (body.sort !== undefined && !(Array.isArray(body.fields) && body.fields.includes(body.sort))) {
+        report.add('sort', 'must be one of the requested fields.');
+    }
+    if (body.order !== undefined && !['asc', 'desc'].includes(body.order)) report.add('order', 'must be asc or desc.');
+}
+
+// Body validators by route
+
+function validateFilters(filters) {
+    const report = createErrors();
+    checkFilters(report, filters);
+    return report.errors;
+}
+
+function validateSearchBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkSearchBody(report, body);
+    return report.errors;
+}
+
+function validateSubawardSearchBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkSearchBody(report, body, { fields: SUBAWARD_FIELDS });
+    return report.errors;
+}
+
+function validateTransactionSearchBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkSearchBody(report, body, { fields: TRANSACTION_FIELDS, requireSort: true });
+    return report.errors;
+}
+
+function validateCountBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkAllowedKeys(report, body, ['filters'], '');
+    checkFilters(report, body.filters);
+    return report.errors;
+}
+
+function validateAutocompleteBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkAllowedKeys(report, body, ['search_text', 'limit'], '');
+    if (typeof body.search_text !== 'string' || !body.search_text.trim() || body.search_text.length > MAX_TEXT_LENGTH) {
+        report.add('search_text', `must be a non-empty string of at most ${MAX_TEXT_LENGTH} characters.`);
+    }
+    if (body.limit !== undefined) checkInteger(report, body.limit, 'limit', 1, 100);
+    return report.errors;
+}
+
+function validateCategoryBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkAllowedKeys(report, body, ['filters', 'limit', 'page'], '');
+    checkFilters(report, body.filters);
+    if (body.limit !== undefined) checkInteger(report, body.limit, 'limit', 1, 100);
+    if (body.page !== undefined) checkInteger(report, body.page, 'page', 1, MAX_PAGE);
+    return report.errors;
+}
+
+function validateOverTimeBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkAllowedKeys(report, body, ['filters', 'group'], '');
+    checkFilters(report, body.filters);
+    if (!['month', 'quarter', 'fiscal_year'].includes(body.group)) report.add('group', 'must be one of: month, quarter, fiscal_year.');
+    return report.errors;
+}
+
+function validateExportBody(body) {
+    const report = createErrors();
+    if (!isObject(body)) return [{ field: 'body', message: 'must be a JSON object.' }];
+    checkAllowedKeys(report, body, ['filters', 'fields', 'format', 'mode'], '');
+    checkFilters(report, body.filters, { requireAwardTypes: true });
+    const mode = body.mode === undefined ? 'awards' : body.mode;
+    if (!SEARCH_MODE_FIELDS[mode]) {
+        report.add('mode', `must be one of: ${Object.keys(SEARCH_MODE_FIELDS).join(', ')}.`);
+    } else if (body.fields !== undefined) {
+        checkFields(report, body.fields, SEARCH_MODE_FIELDS[mode]);
+    }
+    return report.errors;
+}
+
+// Validate the query parameters of GET /api/v1/awards (a URLSearchParams). Filter values that survive these
+// checks are mapped by buildSpendingFilters() and validated again as a filters object.
+function validateAwardsQuery(params) {
+    const report = createErrors();
+    const integer = value => (/^\d+$/.test(value) ? Number(value) : NaN);
+    [...new Set(params.keys())].forEach((key) => {
+        if (!AWARDS_QUERY_PARAMS.includes(key)) report.add(key, 'is not a supported parameter.');
+    });
+    ['award_type', 'agency_function', 'date_type', 'start_date', 'end_date', 'page', 'limit', 'sort', 'order', 'fields', 'format'].forEach((key) => {
+        if (params.getAll(key).length > 1) report.add(key, 'must be given once.');
+    });
+
+    // Only the groups and codes the filter model expands; anything else would silently become all_contracts
+    const awardType = params.get('award_type');
+    if (awardType !== null && !AWARD_TYPE_GROUPS[awardType] && !Object.values(AWARD_TYPE_GROUPS).flat().includes(awardType)) {
+        report.add('award_type', `must be one of ${Object.keys(AWARD_TYPE_GROUPS).join(', ')} or one of their award type codes.`);
+    }
+    ['start_date', 'end_date'].forEach((key) => {
+        if (params.has(key) && !isDate(params.get(key))) report.add(key, 'must be a date in YYYY-MM-DD format.');
+    });
+    if (params.has('agency_function') && !['awarding', 'funding'].includes(params.get('agency_function'))) {
+        report.add('agency_function', 'must be awarding or funding.');
+    }
+    if (params.has('page')) checkInteger(report, integer(params.get('page')), 'page', 1, MAX_PAGE);
+    if (params.has('limit')) checkInteger(report, integer(params.get('limit')), 'limit', 1, 100);
+    if (params.has('format') && !AWARDS_QUERY_FORMATS.includes(params.get('format'))) {
+        report.add('format', `must be one of: ${AWARDS_QUERY_FORMATS.join(', ')}.`);
+    }
+
+    const fields = params.has('fields') ? params.get('fields').split(',').map(field => field.trim()).filter(Boolean) : null;
+    if (fields) checkFields(report, fields);
+    // A sort field missing from fields is added to the request by the route
+    if (params.has('sort') && !AWARD_FIELDS.includes(params.get('sort'))) {
+        report.add('sort', `"${params.get('sort')}" is not supported.`);
+    }
+    if (params.has('order') && !['asc', 'desc'].includes(params.get('order'))) report.add('order', 'must be asc or desc.');
+    return report.errors;
+}
+
+// Express middleware rejecting bodies that fail one of the validators above
+function validateBody(validator) {
+    return (req, res, next) => {
+        const fields = validator(req.body);
+        if (fields.length > 0) {
+            return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The request is invalid. Check the listed fields.', { fields });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    AWARD_FIELDS,
+    SUBAWARD_FIELDS,
+    TRANSACTION_FIELDS,
+    RECIPIENT_ID_PATTERN,
+    UEI_PATTERN,
+    validateBody,
+    isDate,
+    validateFilters,
+    validateSearchBody,
+    validateSubawardSearchBody,
+    validateTransactionSearchBody,
+    validateCountBody,
+    validateAutocompleteBody,
+    validateCategoryBody,
+    validateOverTimeBody,
+    validateExportBody,
+    validateAwardsQuery,
+};
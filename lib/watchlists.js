@@ -0,0 +1,278 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { toCsvValue } = require('./export');
+const { UEI_PATTERN } = require('./validation');
+
+// Recipient watchlists: named lists of recipient names and UEIs uploaded as CSV, persisted to a JSON file.
+// A run queries every recipient with one set of filters and stores a report of award counts and obligated
+// amounts per recipient. Runs are queued and processed one recipient at a time with a pause between
+// recipients, so a 300-company list does not flood USA Spending (the upstream client still retries 429s).
+
+const MAX_WATCHLIST_ENTRIES = 1000;
+const MAX_ENTRY_LENGTH = 200;
+const NAME_HEADERS = ['name', 'recipient', 'recipient name', 'recipient_name', 'company', 'company name', 'vendor'];
+const UEI_HEADERS = ['uei', 'recipient uei', 'recipient_uei', 'sam uei'];
+const REPORT_COLUMNS = ['Recipient', 'UEI', 'Award Count', 'Obligated Amount', 'Error'];
+
+// Split CSV text into rows of cells (quoted cells may contain commas, quotes and newlines)
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') index += 1;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.map(cells => cells.map(value => value.trim())).filter(cells => cells.some(Boolean));
+}
+
+// Read recipients from CSV text. With a header row, the name and UEI columns are found by header
+// (e.g. "Recipient Name", "UEI"); without one, the first column holds a name or a UEI on each row.
+// Returns { entries: [{ label, name, uei }], errors: [{ field, message }] }; duplicates are dropped.
+function parseWatchlistCsv(text) {
+    const errors = [];
+    const rows = parseCsvRows(String(text || '').replace(/^\uFEFF/, ''));
+    if (rows.length === 0) return { entries: [], errors: [{ field: 'csv', message: 'contains no recipients.' }] };
+
+    const header = rows[0].map(cell => cell.toLowerCase());
+    let nameColumn = header.findIndex(cell => NAME_HEADERS.includes(cell));
+    let ueiColumn = header.findIndex(cell => UEI_HEADERS.includes(cell));
+    const hasHeader = nameColumn !== -1 || ueiColumn !== -1;
+    if (!hasHeader) {
+        nameColumn = 0;
+        ueiColumn = -1;
+    }
+
+    const entries = [];
+    const seen = new Set();
+    rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+        const line = index + (hasHeader ? 2 : 1);
+        let name = nameColumn !== -1 ? cells[nameColumn] || '' : '';
+        let uei = ueiColumn !== -1 ? (cells[ueiColumn] || '').toUpperCase() : '';
+        // Without a UEI column, a value shaped like a UEI is treated as one
+        if (ueiColumn === -1 && UEI_PATTERN.test(name)) {
+            uei = name.toUpperCase();
+            name = '';
+        }
+        if (!name && !uei) return;
+        if (uei && !UEI_PATTERN.test(uei)) {
+            errors.push({ field: `csv.line[${line}]`, message: `"${uei}" is not a valid UEI.` });
+            return;
+        }
+        if (name.length > MAX_ENTRY_LENGTH) {
+            errors.push({ field: `csv.line[${line}]`, message: `must be at most ${MAX_ENTRY_LENGTH} characters.` });
+            return;
+        }
+        const key = uei || name.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        entries.push({ label: name || uei, name: name || null, uei: uei || null });
+    });
+
+    if (entries.length === 0 && errors.length === 0) errors.push({ field: 'csv', message: 'contains no recipients.' });
+    if (entries.length > MAX_WATCHLIST_ENTRIES) {
+        errors.push({ field: 'csv', message: `has ${entries.length} recipients; the limit is ${MAX_WATCHLIST_ENTRIES}.` });
+    }
+    return { entries, errors };
+}
+
+// The recipient_search_text value for an entry: the UEI when known, since names match loosely
+function entrySearchText(entry) {
+    return entry.uei || entry.name;
+}
+
+// The public view of a run without its per-recipient results
+function summarizeRun(run) {
+    if (!run) return null;
+    const { results, ...summary } = run;
+    return summary;
+}
+
+// The public view of a watchlist: entries and run results are only included by get()
+function summarize(watchlist) {
+    const { entries, lastRun, ...summary } = watchlist;
+    return { ...summary, entryCount: entries.length, lastRun: summarizeRun(lastRun) };
+}
+
+// Watchlist report as CSV, largest obligated amount first
+function watchlistReportCsv(run) {
+    const rows = [...run.results].sort((a, b) => (b.obligatedAmount || 0) - (a.obligatedAmount || 0));
+    const lines = [REPORT_COLUMNS.map(toCsvValue).join(',')];
+    rows.forEach((result) => {
+        lines.push([result.label, result.uei, result.awardCount, result.obligatedAmount, result.error].map(toCsvValue).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+// Watchlists persisted to a JSON file.
+// fetchTotals(filters) resolves to { awardCount, obligatedAmount } for one recipient's filters.
+// delayMs is the pause between recipients in a run.
+function createWatchlistService({ file, fetchTotals, logger = createLogger(), delayMs = 250, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)) }) {
+    let watchlists = null;
+    let writeQueue = Promise.resolve();
+    let runQueue = Promise.resolve();
+
+    async function load() {
+        if (watchlists) return watchlists;
+        try {
+            watchlists = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            watchlists = [];
+        }
+        // Runs do not survive a restart
+        watchlists.forEach((watchlist) => {
+            if (watchlist.lastRun && ['queued', 'running'].includes(watchlist.lastRun.status)) {
+                watchlist.lastRun.status = 'error';
+                watchlist.lastRun.error = 'Interrupted by a server restart.';
+            }
+        });
+        return watchlists;
+    }
+
+    // Writes are queued and go through a temp file, as in lib/savedSearches.js
+    function save() {
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const tempFile = `${file}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(watchlists, null, 2));
+            await fs.rename(tempFile, file);
+        });
+        return writeQueue;
+    }
+
+    async function find(id) {
+        return (await load()).find(watchlist => watchlist.id === id);
+    }
+
+    async function list() {
+        return (await load()).map(summarize);
+    }
+
+    async function get(id) {
+        const watchlist = await find(id);
+        if (!watchlist) return null;
+        return { ...summarize(watchlist), entries: watchlist.entries, lastRun: watchlist.lastRun || null };
+    }
+
+    async function create({ name, entries }) {
+        const watchlist = {
+            id: crypto.randomUUID(),
+            name,
+            entries,
+            createdAt: new Date().toISOString(),
+            lastRun: null,
+        };
+        (await load()).push(watchlist);
+        await save();
+        return summarize(watchlist);
+    }
+
+    async function remove(id) {
+        const all = await load();
+        const index = all.findIndex(watchlist => watchlist.id === id);
+        if (index === -1) return false;
+        all.splice(index, 1);
+        await save();
+        return true;
+    }
+
+    // Query every recipient in order, saving progress every few recipients so the report can be polled
+    async function execute(watchlist, run) {
+        run.status = 'running';
+        run.startedAt = new Date().toISOString();
+        await save();
+
+        for (const [index, entry] of watchlist.entries.entries()) {
+            if (index > 0) await sleep(delayMs);
+            // Stop calling upstream for a watchlist deleted while its run was queued or in progress
+            if (!watchlists.includes(watchlist)) {
+                logger.info('Stopping run of deleted watchlist', { watchlistId: watchlist.id, processed: run.processed });
+                return;
+            }
+            const result = { label: entry.label, name: entry.name, uei: entry.uei, searchText: entrySearchText(entry), awardCount: null, obligatedAmount: null, error: null };
+            try {
+                Object.assign(result, await fetchTotals({ ...run.filters, recipient_search_text: [result.searchText] }));
+            } catch (error) {
+                logger.warn('Error querying watchlist recipient', { watchlistId: watchlist.id, recipient: entry.label, error });
+                result.error = error.response ? `USA Spending returned HTTP ${error.response.status}.` : error.message;
+            }
+            run.results.push(result);
+            run.processed = run.results.length;
+            if (run.processed % 10 === 0) await save();
+        }
+
+        run.status = 'done';
+        run.finishedAt = new Date().toISOString();
+        run.failed = run.results.filter(result => result.error).length;
+        await save();
+    }
+
+    // Start a run with the given filters. Runs are queued behind any run already in progress.
+    // Returns null for an unknown watchlist, or the watchlist's current run if it is already queued or running.
+    async function run(id, { filters, query = null }) {
+        const watchlist = await find(id);
+        if (!watchlist) return null;
+        if (watchlist.lastRun && ['queued', 'running'].includes(watchlist.lastRun.status)) return summarizeRun(watchlist.lastRun);
+
+        const runFilters = { ...filters };
+        delete runFilters.recipient_search_text; // Replaced per recipient
+        watchlist.lastRun = {
+            id: crypto.randomUUID(),
+            status: 'queued',
+            filters: runFilters,
+            query,
+            queuedAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            total: watchlist.entries.length,
+            processed: 0,
+            failed: 0,
+            error: null,
+            results: [],
+        };
+        await save();
+
+        const current = watchlist.lastRun;
+        runQueue = runQueue.then(() => execute(watchlist, current)).catch(async (error) => {
+            logger.error('Error running watchlist', { watchlistId: watchlist.id, error });
+            current.status = 'error';
+            current.error = error.message;
+            await save().catch(() => {});
+        });
+        return summarizeRun(current);
+    }
+
+    return { list, get, create, remove, run };
+}
+
+module.exports = { createWatchlistService, parseWatchlistCsv, watchlistReportCsv, entrySearchText, MAX_WATCHLIST_ENTRIES };
@@ -0,0 +1,132 @@
+// Agency Pickers
+// Type-ahead multi-selects for toptier agencies and their sub-agencies. The sub-agency picker only
+// offers sub-agencies of the selected toptier agencies. Selections use the canonical names
+// USAspending returned, and buildSpendingFilters() turns them into the agency filter by tier.
+// Depends on createTypeahead() from typeahead.js.
+
+const agencyFunctionSelect = document.getElementById('agencyDetails'); // Awarding or funding
+let toptierAgenciesPromise = null; // Toptier agency reference list, loaded once
+const subAgencyLists = new Map(); // Sub-agency lists keyed by toptier code and agency type
+
+// Load Toptier Agencies
+// Fetches every toptier agency once; later calls reuse the same promise.
+function loadToptierAgencies() {
+    if (!toptierAgenciesPromise) {
+        toptierAgenciesPromise = fetch('/api/autocomplete/toptier_agencies')
+            .then((response) => {
+                if (!response.ok) throw new Error('Failed to load agencies.');
+                return response.json();
+            })
+            .then(data => data.results)
+            .catch((error) => {
+                toptierAgenciesPromise = null; // Retry on the next keystroke
+                throw error;
+            });
+    }
+    return toptierAgenciesPromise;
+}
+
+// Load Sub-Agencies
+// Fetches the sub-agencies of one toptier agency for the selected agency function.
+async function loadSubAgencies(toptierCode, agencyType) {
+    const key = `${toptierCode}:${agencyType}`;
+    if (!subAgencyLists.has(key)) {
+        const response = await fetch(`/api/autocomplete/sub_agencies/${encodeURIComponent(toptierCode)}?agency_type=${encodeURIComponent(agencyType)}`);
+        if (!response.ok) throw new Error('Failed to load sub-agencies.');
+        subAgencyLists.set(key, (await response.json()).results);
+    }
+    return subAgencyLists.get(key);
+}
+
+// Build a selectable toptier agency item
+function toptierAgencyItem(name, abbreviation) {
+    return { key: `toptier:${name}`, label: name, detail: abbreviation || '', tier: 'toptier', name };
+}
+
+// Build a selectable sub-agency item; toptier_name disambiguates sub-agencies with the same name
+function subtierAgencyItem(toptierName, name, abbreviation) {
+    return { key: `subtier:${toptierName}::${name}`, label: name, detail: abbreviation || toptierName, tier: 'subtier', name, toptier_name: toptierName };
+}
+
+// Match text against an item's name or abbreviation
+function matchesAgencyText(text, name, abbreviation) {
+    const search = text.toLowerCase();
+    return name.toLowerCase().includes(search) || (abbreviation || '').toLowerCase().includes(search);
+}
+
+const agencyPicker = createTypeahead({
+    container: document.getElementById('agencyPicker'),
+    inputId: 'agencyType',
+    placeholder: 'Type an agency name or abbreviation (e.g., GSA)',
+    minLength: 1,
+    fetchSuggestions: async (text) => {
+        const agencies = await loadToptierAgencies();
+        return agencies
+            .filter(agency => matchesAgencyText(text, agency.name, agency.abbreviation))
+            .slice(0, 15)
+            .map(agency => toptierAgencyItem(agency.name, agency.abbreviation));
+    },
+    onChange: (selectedAgencies) => {
+        // Drop sub-agencies whose toptier agency is no longer selected
+        const toptierNames = selectedAgencies.map(item => item.name);
+        const subAgencies = subAgencyPicker.getSelected();
+        const remaining = subAgencies.filter(item => toptierNames.includes(item.toptier_name));
+        if (remaining.length !== subAgencies.length) subAgencyPicker.setSelected(remaining);
+        updateSubAgencyPickerState();
+    },
+});
+
+const subAgencyPicker = createTypeahead({
+    container: document.getElementById('subAgencyPicker'),
+    inputId: 'subAgencyType',
+    placeholder: 'Select an agency first',
+    minLength: 0,
+    fetchSuggestions: async (text) => {
+        const agencyType = agencyFunctionSelect.value || 'awarding';
+        const toptierAgencies = await loadToptierAgencies();
+        const suggestions = [];
+
+        for (const selectedAgency of agencyPicker.getSelected()) {
+            const toptier = toptierAgencies.find(agency => agency.name === selectedAgency.name);
+            if (!toptier) continue;
+            const subAgencies = await loadSubAgencies(toptier.toptier_code, agencyType);
+            subAgencies
+                .filter(subAgency => matchesAgencyText(text, subAgency.name, subAgency.abbreviation))
+                .forEach(subAgency => suggestions.push(subtierAgencyItem(toptier.name, subAgency.name, subAgency.abbreviation)));
+        }
+        return suggestions.slice(0, 30);
+    },
+});
+
+// Enable the sub-agency picker only once a toptier agency is selected
+function updateSubAgencyPickerState() {
+    const hasAgency = agencyPicker.getSelected().length > 0;
+    subAgencyPicker.input.disabled = !hasAgency;
+    subAgencyPicker.input.placeholder = hasAgency ? 'Type or pick a sub-agency' : 'Select an agency first';
+}
+updateSubAgencyPickerState();
+
+// Get Agency Selections
+function getAgencySelections() {
+    return { agencies: agencyPicker.getSelected(), subAgencies: subAgencyPicker.getSelected() };
+}
+
+// Get Agency State
+// Returns the selections in the filter model's format: [{ tier, name, toptier_name? }].
+function getAgencyState() {
+    const { agencies, subAgencies } = getAgencySelections();
+    return [
+        ...agencies.map(agency => ({ tier: 'toptier', name: agency.name })),
+        ...subAgencies.map(subAgency => ({ tier: 'subtier', name: subAgency.name, toptier_name: subAgency.toptier_name })),
+    ];
+}
+
+// Set Agency State
+// Restores the selections from the filter model's format.
+function setAgencyState(agencies) {
+    agencyPicker.setSelected(agencies.filter(agency => agency.tier !== 'subtier').map(agency => toptierAgencyItem(agency.name)));
+    subAgencyPicker.setSelected(agencies
+        .filter(agency => agency.tier === 'subtier' && agency.toptier_name)
+        .map(agency => subtierAgencyItem(agency.toptier_name, agency.name)));
+    updateSubAgencyPickerState();
+}
@@ -0,0 +1,241 @@
+// Analytics View
+// Dashboard tab with ranked spending by category and spending over time for the current filters,
+// drawn as self-contained SVG charts. Clicking a bar adds that category as a drill-down filter,
+// which the filter model applies on top of the form's filters.
+// Also switches between the Awards, Analytics and Compare tabs.
+// Loaded before script.js because readSearchState() includes the drill-downs;
+// buildFilters(), readApiError(), pushSearchState(), fetchResults() and loadComparison() are only called at runtime.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const awardsTab = document.getElementById('awardsTab'); // Tab: award list
+const analyticsTab = document.getElementById('analyticsTab'); // Tab: analytics dashboard
+const compareTab = document.getElementById('compareTab'); // Tab: comparison (compare.js)
+const awardsView = document.getElementById('awardsView'); // Award list view
+const analyticsView = document.getElementById('analyticsView'); // Analytics dashboard view
+const compareView = document.getElementById('compareView'); // Comparison view
+const analyticsCategory = document.getElementById('analyticsCategory'); // Category for the ranked chart
+const analyticsGroup = document.getElementById('analyticsGroup'); // Month, quarter or fiscal year
+const analyticsStatus = document.getElementById('analyticsStatus'); // Loading and error text
+const categoryChart = document.getElementById('categoryChart'); // Ranked bar chart container
+const timeChart = document.getElementById('timeChart'); // Time series chart container
+
+let drillDowns = []; // Drill-down filters: [{ category, value }]
+let analyticsRequestCounter = 0; // Ignores responses from superseded loads
+
+const compactCurrency = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', notation: 'compact', maximumFractionDigits: 1 });
+
+awardsTab.addEventListener('click', () => showView('awards'));
+analyticsTab.addEventListener('click', () => showView('analytics'));
+compareTab.addEventListener('click', () => showView('compare'));
+analyticsCategory.addEventListener('change', () => loadAnalytics());
+analyticsGroup.addEventListener('change', () => loadAnalytics());
+
+// Keep the dashboard in sync with new searches and history navigation
+document.getElementById('searchForm').addEventListener('submit', () => {
+    if (isAnalyticsActive()) loadAnalytics();
+});
+window.addEventListener('popstate', () => {
+    if (isAnalyticsActive()) loadAnalytics();
+});
+
+function isAnalyticsActive() {
+    return analyticsView.style.display !== 'none';
+}
+
+// Show View
+// Switches between the award list, the analytics dashboard and the comparison, loading the one shown.
+function showView(view) {
+    const views = { awards: [awardsTab, awardsView], analytics: [analyticsTab, analyticsView], compare: [compareTab, compareView] };
+    Object.entries(views).forEach(([name, [tab, panel]]) => {
+        const active = name === view;
+        panel.style.display = active ? 'block' : 'none';
+        tab.classList.toggle('active', active);
+        tab.setAttribute('aria-selected', String(active));
+    });
+    if (view === 'analytics') loadAnalytics();
+    if (view === 'compare') loadComparison();
+}
+
+// Get Drill Downs
+function getDrillDowns() {
+    return [...drillDowns];
+}
+
+// Set Drill Downs
+function setDrillDowns(items) {
+    drillDowns = items.filter(item => DRILL_DOWN_LABELS[item.category] && item.value);
+}
+
+// Add Drill Down
+// Adds (or replaces) the drill-down for a category and re-runs the search and dashboard.
+async function addDrillDown(category, value) {
+    drillDowns = [...drillDowns.filter(item => item.category !== category), { category, value }];
+    currentPage = 1;
+    pushSearchState();
+    const pending = [fetchResults()];
+    if (isAnalyticsActive()) pending.push(loadAnalytics());
+    await Promise.all(pending);
+}
+
+// POST a filters request to an analytics endpoint
+async function fetchAnalytics(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    if (!response.ok) throw await readApiError(response, 'Failed to load analytics.');
+    return response.json();
+}
+
+// Load Analytics
+// Fetches the ranked category totals and the time series for the current filters and draws both charts.
+async function loadAnalytics() {
+    const filters = buildFilters();
+
+    const requestId = ++analyticsRequestCounter;
+    const category = analyticsCategory.value;
+    const group = analyticsGroup.value;
+    analyticsStatus.textContent = 'Loading analytics...';
+
+    try {
+        const [categoryData, timeData] = await Promise.all([
+            fetchAnalytics(`/api/analytics/by-category/${category}`, { filters, limit: 10, page: 1 }),
+            fetchAnalytics('/api/analytics/over-time', { filters, group }),
+        ]);
+        if (requestId !== analyticsRequestCounter) return;
+
+        analyticsStatus.textContent = '';
+        renderBarChart(categoryChart, categoryData.results.map(item => ({
+            label: item.code && ['naics', 'psc', 'state'].includes(category) ? `${item.code} - ${item.name || ''}` : (item.name || item.code || 'Unknown'),
+            value: item.amount || 0,
+            drillValue: ['naics', 'psc', 'state'].includes(category) ? item.code : item.name,
+        })), item => addDrillDown(category, item.drillValue));
+        renderTimeSeries(timeChart, timeData.results.map(item => ({
+            label: formatTimePeriod(item.time_period, group),
+            value: item.aggregated_amount || 0,
+        })));
+    } catch (error) {
+        if (requestId !== analyticsRequestCounter) return;
+        logger.error("Error Loading Analytics:", error);
+        analyticsStatus.textContent = error.message;
+    }
+}
+
+// Format a spending_over_time period. Months are fiscal periods: month 1 is October of the prior calendar year.
+function formatTimePeriod(period, group) {
+    const fiscalYear = Number(period.fiscal_year);
+    if (group === 'quarter') return `FY${fiscalYear} Q${period.quarter}`;
+    if (group === 'month') {
+        const date = new Date(fiscalYear - 1, 9 + Number(period.month) - 1, 1);
+        return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    return `FY${fiscalYear}`;
+}
+
+// Create an SVG element with attributes
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Truncate long labels so they fit next to the bars
+function truncateLabel(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+// Render Bar Chart
+// Horizontal ranked bars; onClick(item) runs when a bar or its label is clicked.
+function renderBarChart(container, items, onClick) {
+    container.innerHTML = '';
+    if (items.length === 0) {
+        container.textContent = 'No spending found for these filters.';
+        return;
+    }
+
+    const width = 800;
+    const rowHeight = 30;
+    const labelWidth = 320;
+    const valueWidth = 90;
+    const height = items.length * rowHeight + 10;
+    const max = Math.max(...items.map(item => Math.abs(item.value)), 1);
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img' });
+
+    items.forEach((item, index) => {
+        const y = index * rowHeight + 5;
+        const barWidth = Math.max(2, ((width - labelWidth - valueWidth) * Math.abs(item.value)) / max);
+        const group = createSvgElement('g', { class: 'chart-row', tabindex: '0' });
+        const title = createSvgElement('title');
+        title.textContent = `${item.label}: ${compactCurrency.format(item.value)} (click to filter)`;
+        const label = createSvgElement('text', { x: labelWidth - 8, y: y + rowHeight / 2, 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-label' });
+        label.textContent = truncateLabel(item.label, 42);
+        const bar = createSvgElement('rect', { x: labelWidth, y: y + 4, width: barWidth, height: rowHeight - 8, rx: 3, class: 'chart-bar' });
+        const value = createSvgElement('text', { x: labelWidth + barWidth + 6, y: y + rowHeight / 2, 'dominant-baseline': 'middle', class: 'chart-value' });
+        value.textContent = compactCurrency.format(item.value);
+
+        group.append(title, label, bar, value);
+        group.addEventListener('click', () => onClick(item));
+        group.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                onClick(item);
+            }
+        });
+        svg.appendChild(group);
+    });
+
+    container.appendChild(svg);
+}
+
+// Render Time Series
+// Vertical bars per period with a zero baseline; negative totals (deobligations) drop below it.
+function renderTimeSeries(container, points) {
+    container.innerHTML = '';
+    if (points.length === 0) {
+        container.textContent = 'No spending found for these filters.';
+        return;
+    }
+
+    const width = 800;
+    const height = 300;
+    const padding = { top: 20, right: 10, bottom: 60, left: 70 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const max = Math.max(...points.map(point => point.value), 0);
+    const min = Math.min(...points.map(point => point.value), 0);
+    const range = max - min || 1;
+    const scaleY = value => padding.top + ((max - value) / range) * plotHeight;
+    const slot = plotWidth / points.length;
+    const labelEvery = Math.ceil(points.length / 12); // At most ~12 x-axis labels
+    const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img' });
+
+    // Y-axis extremes and zero baseline
+    [max, min].filter((value, index, values) => values.indexOf(value) === index).forEach((value) => {
+        const tick = createSvgElement('text', { x: padding.left - 6, y: scaleY(value), 'text-anchor': 'end', 'dominant-baseline': 'middle', class: 'chart-value' });
+        tick.textContent = compactCurrency.format(value);
+        svg.appendChild(tick);
+    });
+    svg.appendChild(createSvgElement('line', { x1: padding.left, x2: width - padding.right, y1: scaleY(0), y2: scaleY(0), class: 'chart-axis' }));
+
+    points.forEach((point, index) => {
+        const x = padding.left + index * slot;
+        const top = scaleY(Math.max(point.value, 0));
+        const barHeight = Math.max(1, Math.abs(scaleY(point.value) - scaleY(0)));
+        const bar = createSvgElement('rect', { x: x + slot * 0.1, y: top, width: Math.max(1, slot * 0.8), height: barHeight, class: point.value < 0 ? 'chart-bar negative' : 'chart-bar' });
+        const title = createSvgElement('title');
+        title.textContent = `${point.label}: ${compactCurrency.format(point.value)}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+
+        if (index % labelEvery === 0) {
+            const labelX = x + slot / 2;
+            const labelY = height - padding.bottom + 14;
+            const label = createSvgElement('text', { x: labelX, y: labelY, 'text-anchor': 'end', transform: `rotate(-40 ${labelX} ${labelY})`, class: 'chart-label' });
+            label.textContent = point.label;
+            svg.appendChild(label);
+        }
+    });
+
+    container.appendChild(svg);
+}
@@ -0,0 +1,227 @@
+// Award Detail Panel
+// Slide-out panel showing an award's summary, period of performance, transaction timeline,
+// subawards and federal account funding, loaded from /api/award/:id.
+
+const awardDetailPanel = document.getElementById('awardDetailPanel'); // Slide-out panel container
+const awardDetailContent = document.getElementById('awardDetailContent'); // Panel body
+const awardDetailClose = document.getElementById('awardDetailClose'); // Close button
+
+awardDetailClose.addEventListener('click', closeAwardDetail);
+document.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || !awardDetailPanel.classList.contains('open')) return;
+    closeAwardDetail();
+    event.stopImmediatePropagation(); // Leave the recipient profile underneath open
+});
+
+// Format a dollar amount, or N/A when missing
+function formatCurrency(value) {
+    return value === null || value === undefined ? 'N/A' : `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+// Open Award Detail
+// Shows the panel for a generated_internal_id and loads its data.
+async function openAwardDetail(generatedId, awardId) {
+    awardDetailPanel.classList.add('open');
+    awardDetailPanel.setAttribute('aria-hidden', 'false');
+    awardDetailContent.innerHTML = '';
+    const loading = document.createElement('p');
+    loading.textContent = `Loading award ${awardId || generatedId}...`;
+    awardDetailContent.appendChild(loading);
+
+    try {
+        const response = await fetch(`/api/award/${encodeURIComponent(generatedId)}`);
+        if (!response.ok) throw await readApiError(response, 'Failed to load award details.');
+        renderAwardDetail(generatedId, await response.json());
+    } catch (error) {
+        logger.error("Error Fetching Award Detail:", error);
+        awardDetailContent.innerHTML = '';
+        const message = document.createElement('p');
+        message.className = 'error';
+        message.textContent = error.message;
+        awardDetailContent.appendChild(message);
+        awardDetailContent.appendChild(createExternalAwardLink(generatedId));
+    }
+}
+
+// Close Award Detail
+function closeAwardDetail() {
+    awardDetailPanel.classList.remove('open');
+    awardDetailPanel.setAttribute('aria-hidden', 'true');
+}
+
+// Link to the award on usaspending.gov, kept as a secondary option
+function createExternalAwardLink(generatedId) {
+    const link = document.createElement('a');
+    link.href = `https://www.usaspending.gov/award/${encodeURIComponent(generatedId)}`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'external-link';
+    link.textContent = 'View on USAspending.gov';
+    return link;
+}
+
+// Create a section with a heading
+function createDetailSection(title) {
+    const section = document.createElement('section');
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    section.appendChild(heading);
+    return section;
+}
+
+// Create a two-column definition list from [label, value] pairs; a value may be a DOM node
+function createDefinitionList(pairs) {
+    const list = document.createElement('dl');
+    pairs.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        if (value instanceof Node) description.appendChild(value);
+        else description.textContent = value || 'N/A';
+        list.append(term, description);
+    });
+    return list;
+}
+
+// Create a table from column definitions ({ label, value(row) } or { label, cell(row) } returning a <td>) and rows
+function createDetailTable(columns, rows, emptyText) {
+    if (rows.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = emptyText;
+        return empty;
+    }
+
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach((column) => {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach((row) => {
+        const tr = body.insertRow();
+        columns.forEach((column) => {
+            if (column.cell) {
+                tr.appendChild(column.cell(row));
+                return;
+            }
+            const value = column.value(row);
+            const cell = tr.insertCell();
+            if (value instanceof Node) cell.appendChild(value);
+            else cell.textContent = value === null || value === undefined || value === '' ? 'N/A' : value;
+        });
+    });
+    return table;
+}
+
+// Append a section's load error, if any
+function appendSectionError(section, sectionData) {
+    if (!sectionData.error) return;
+    const message = document.createElement('p');
+    message.className = 'error';
+    message.textContent = sectionData.error;
+    section.appendChild(message);
+}
+
+// Render Award Detail
+function renderAwardDetail(generatedId, data) {
+    const { award, transactions, subawards, funding } = data;
+    const period = award.period_of_performance || {};
+    const recipient = award.recipient || {};
+    const awarding = award.awarding_agency || {};
+    const fundingAgency = award.funding_agency || {};
+
+    awardDetailContent.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = award.piid || award.fain || award.uri || generatedId;
+    awardDetailContent.appendChild(title);
+    awardDetailContent.appendChild(createExternalAwardLink(generatedId));
+
+    // Summary
+    const summary = createDetailSection('Summary');
+    summary.appendChild(createDefinitionList([
+        ['Recipient', recipient.recipient_name],
+        ['Recipient UEI', recipient.recipient_uei],
+        ['Award Type', award.type_description],
+        ['Awarding Agency', [awarding.toptier_agency && awarding.toptier_agency.name, awarding.subtier_agency && awarding.subtier_agency.name].filter(Boolean).join(' / ')],
+        ['Funding Agency', [fundingAgency.toptier_agency && fundingAgency.toptier_agency.name, fundingAgency.subtier_agency && fundingAgency.subtier_agency.name].filter(Boolean).join(' / ')],
+        ['Total Obligation', formatCurrency(award.total_obligation)],
+        ['Base and All Options Value', formatCurrency(award.base_and_all_options_value)],
+        ['Description', award.description],
+    ]));
+    awardDetailContent.appendChild(summary);
+
+    // Period of performance
+    const periodSection = createDetailSection('Period of Performance');
+    periodSection.appendChild(createDefinitionList([
+        ['Date Signed', award.date_signed],
+        ['Start Date', period.start_date],
+        ['Current End Date', period.end_date],
+        ['Potential End Date', period.potential_end_date],
+        ['Last Modified', period.last_modified_date],
+    ]));
+    awardDetailContent.appendChild(periodSection);
+
+    // Obligation history as a timeline, oldest action first, with a running total
+    const timeline = createDetailSection('Obligation History');
+    appendSectionError(timeline, transactions);
+    if (transactions.truncated) {
+        const notice = document.createElement('p');
+        notice.className = 'detail-note';
+        notice.textContent = `Showing the first ${transactions.results.length.toLocaleString()} transactions. The Cumulative column only adds up these, so it is partial.`;
+        timeline.appendChild(notice);
+    }
+    let runningTotal = 0;
+    const timelineRows = transactions.results.map((transaction) => {
+        runningTotal += Number(transaction.federal_action_obligation) || 0;
+        return { ...transaction, runningTotal };
+    });
+    const largestChange = Math.max(1, ...timelineRows.map(row => Math.abs(Number(row.federal_action_obligation) || 0)));
+    timeline.appendChild(createDetailTable([
+        { label: 'Date', value: row => row.action_date },
+        { label: 'Mod', value: row => row.modification_number },
+        { label: 'Action', value: row => row.action_type_description || row.action_type },
+        { label: 'Obligation', value: (row) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'timeline-amount';
+            const bar = document.createElement('span');
+            const amount = Number(row.federal_action_obligation) || 0;
+            bar.className = amount < 0 ? 'timeline-bar negative' : 'timeline-bar';
+            bar.style.width = `${Math.round((Math.abs(amount) / largestChange) * 100)}%`;
+            const text = document.createElement('span');
+            text.textContent = formatCurrency(row.federal_action_obligation);
+            wrapper.append(bar, text);
+            return wrapper;
+        } },
+        { label: 'Cumulative', value: row => formatCurrency(row.runningTotal) },
+        { label: 'Description', value: row => row.description },
+    ], timelineRows, 'No transactions found.'));
+    awardDetailContent.appendChild(timeline);
+
+    // Subawards
+    const subawardSection = createDetailSection('Subawards');
+    appendSectionError(subawardSection, subawards);
+    subawardSection.appendChild(createDetailTable([
+        { label: 'Subaward', value: row => row.subaward_number },
+        { label: 'Recipient', value: row => row.recipient_name },
+        { label: 'Date', value: row => row.action_date },
+        { label: 'Amount', value: row => formatCurrency(row.amount) },
+        { label: 'Description', value: row => row.description },
+    ], subawards.results, 'No subawards reported.'));
+    awardDetailContent.appendChild(subawardSection);
+
+    // Federal account funding
+    const fundingSection = createDetailSection('Federal Account Funding');
+    appendSectionError(fundingSection, funding);
+    fundingSection.appendChild(createDetailTable([
+        { label: 'Period', value: row => row.reporting_fiscal_year ? `FY${row.reporting_fiscal_year} ${row.is_quarterly_submission ? `Q${row.reporting_fiscal_quarter}` : `P${String(row.reporting_fiscal_month).padStart(2, '0')}`}` : null },
+        { label: 'Federal Account', value: row => [row.federal_account, row.account_title].filter(Boolean).join(' - ') },
+        { label: 'Program Activity', value: row => row.program_activity_name },
+        { label: 'Object Class', value: row => row.object_class_name },
+        { label: 'Obligated', value: row => formatCurrency(row.transaction_obligated_amount) },
+        { label: 'Outlayed', value: row => formatCurrency(row.gross_outlay_amount) },
+    ], funding.results, 'No federal account funding reported.'));
+    awardDetailContent.appendChild(fundingSection);
+}
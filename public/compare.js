@@ -0,0 +1,256 @@
+// Compare View
+// Runs the current search and a comparison search side by side: the same filters shifted back one year or one
+// period (shiftTimePeriods() in filterModel.js), or a search pinned earlier. Shows obligations, award counts,
+// top recipients and top agencies with absolute and percentage changes, and the largest awards found on only
+// one side. Uses the table helpers from awardDetail.js and fetchAnalytics() from analytics.js.
+
+const compareBaseline = document.getElementById('compareBaseline'); // Year, period or pinned search
+const comparePinButton = document.getElementById('comparePinButton'); // Pins the current search
+const comparePinned = document.getElementById('comparePinned'); // Describes the pinned search
+const compareStatus = document.getElementById('compareStatus'); // Loading and error text
+const compareResults = document.getElementById('compareResults'); // Comparison tables
+
+const COMPARE_PINNED_KEY = 'awardSearch.comparePinned'; // localStorage key for the pinned search's query string
+const COMPARE_TOP_COUNT = 10; // Rows taken from each side's top recipients and agencies
+const COMPARE_AWARD_LIMIT = 100; // Largest awards per side checked for awards on only one side
+const COMPARE_ONLY_ROWS = 25; // Awards listed per side in the "only in" tables
+
+let compareRequestCounter = 0; // Ignores responses from superseded comparisons
+
+compareBaseline.addEventListener('change', () => loadComparison());
+comparePinButton.addEventListener('click', () => {
+    try {
+        localStorage.setItem(COMPARE_PINNED_KEY, searchStateToQuery(readSearchState()).toString());
+    } catch (error) {
+        logger.warn("Could not save the pinned search:", error);
+    }
+    compareBaseline.value = 'pinned';
+    loadComparison();
+});
+
+// Keep the comparison in sync with new searches and history navigation
+document.getElementById('searchForm').addEventListener('submit', () => {
+    if (isCompareActive()) loadComparison();
+});
+window.addEventListener('popstate', () => {
+    if (isCompareActive()) loadComparison();
+});
+
+renderPinnedSearch();
+
+function isCompareActive() {
+    return compareView.style.display !== 'none';
+}
+
+// The pinned search state, or null when none is pinned
+function loadPinnedSearch() {
+    try {
+        const query = localStorage.getItem(COMPARE_PINNED_KEY);
+        return query === null ? null : searchStateFromQuery(new URLSearchParams(query));
+    } catch (error) {
+        logger.warn("Ignoring unreadable pinned search:", error);
+        return null;
+    }
+}
+
+// Describe a search state's filters in one line
+function describeFilters(state) {
+    const labels = describeSearchState(state).map(chip => chip.label);
+    return labels.length > 0 ? labels.join('; ') : 'No filters';
+}
+
+// Describe a filters object's time periods
+function describePeriods(filters) {
+    return filters.time_period.map(period => `${period.start_date} to ${period.end_date}`).join(', ');
+}
+
+function renderPinnedSearch() {
+    const pinned = loadPinnedSearch();
+    comparePinned.textContent = pinned
+        ? `Pinned search: ${describeFilters(pinned)}`
+        : 'No search pinned. Pin the current search to compare other searches against it.';
+}
+
+// Get Comparison Sides
+// Returns the current search and the selected comparison as { label, description, filters },
+// or null (with a status message) when the comparison cannot be built.
+function getComparisonSides() {
+    const filters = buildFilters();
+    const current = { label: 'Current Search', description: describePeriods(filters), filters };
+
+    if (compareBaseline.value === 'pinned') {
+        const pinned = loadPinnedSearch();
+        if (!pinned) {
+            compareStatus.textContent = 'Pin a search first, then change the filters to compare against it.';
+            return null;
+        }
+        current.description = describeFilters(readSearchState());
+        return [current, { label: 'Pinned Search', description: describeFilters(pinned), filters: buildSpendingFilters(pinned) }];
+    }
+
+    const shifted = shiftTimePeriods(filters, compareBaseline.value);
+    const label = compareBaseline.value === 'year' ? 'One Year Earlier' : 'Preceding Period';
+    return [current, { label, description: describePeriods(shifted), filters: shifted }];
+}
+
+// Fetch Comparison Side
+// Loads everything the comparison shows for one filters object in parallel.
+async function fetchComparisonSide(filters) {
+    const [count, overTime, recipients, agencies, awards] = await Promise.all([
+        fetchTotalCount(filters),
+        fetchAnalytics('/api/analytics/over-time', { filters, group: 'fiscal_year' }),
+        fetchAnalytics('/api/analytics/by-category/recipient', { filters, limit: 100, page: 1 }),
+        fetchAnalytics('/api/analytics/by-category/awarding_agency', { filters, limit: 100, page: 1 }),
+        fetchAnalytics('/api/search', {
+            filters,
+            fields: SEARCH_FIELDS,
+            limit: COMPARE_AWARD_LIMIT,
+            page: 1,
+            sort: 'Award Amount',
+            order: 'desc',
+        }),
+    ]);
+    return {
+        count,
+        obligations: overTime.results.reduce((sum, row) => sum + (Number(row.aggregated_amount) || 0), 0),
+        recipients: recipients.results,
+        agencies: agencies.results,
+        awards: awards.results,
+    };
+}
+
+// Load Comparison
+// Runs both sides of the comparison and renders the results.
+async function loadComparison() {
+    renderPinnedSearch();
+    const sides = getComparisonSides();
+    if (!sides) {
+        compareResults.innerHTML = '';
+        return;
+    }
+
+    const requestId = ++compareRequestCounter;
+    compareStatus.textContent = 'Loading comparison...';
+
+    try {
+        const [current, baseline] = await Promise.all(sides.map(side => fetchComparisonSide(side.filters)));
+        if (requestId !== compareRequestCounter) return;
+        compareStatus.textContent = '';
+        renderComparison(sides, current, baseline);
+    } catch (error) {
+        if (requestId !== compareRequestCounter) return;
+        logger.error("Error Loading Comparison:", error);
+        compareResults.innerHTML = '';
+        compareStatus.textContent = error.message;
+    }
+}
+
+// Change from the baseline as { absolute, percent }; percent is null when the baseline is zero or unknown
+function calculateDelta(current, baseline) {
+    if (current === null || baseline === null) return { absolute: null, percent: null };
+    return { absolute: current - baseline, percent: baseline === 0 ? null : ((current - baseline) / Math.abs(baseline)) * 100 };
+}
+
+// Signed change with an up/down class
+function createDeltaValue(value, format) {
+    const span = document.createElement('span');
+    if (value === null) {
+        span.textContent = 'N/A';
+        return span;
+    }
+    const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+    span.className = value > 0 ? 'delta-up' : value < 0 ? 'delta-down' : '';
+    span.textContent = format === 'percent'
+        ? `${sign}${Math.abs(value).toFixed(1)}%`
+        : `${sign}${format === 'currency' ? formatCurrency(Math.abs(value)) : Math.abs(value).toLocaleString()}`;
+    return span;
+}
+
+// Table of { label, current, baseline, format? } rows with change columns; missing values show missingText.
+// Values are currency unless the row's format is 'number'.
+function createComparisonTable(sides, rows, { rowLabel, missingText = 'N/A', emptyText }) {
+    const show = (value, format) => (value === null ? missingText : format === 'number' ? value.toLocaleString() : formatCurrency(value));
+    return createDetailTable([
+        { label: rowLabel, value: row => row.label },
+        { label: sides[0].label, value: row => show(row.current, row.format) },
+        { label: sides[1].label, value: row => show(row.baseline, row.format) },
+        { label: 'Change', value: row => createDeltaValue(calculateDelta(row.current, row.baseline).absolute, row.format || 'currency') },
+        { label: '% Change', value: row => createDeltaValue(calculateDelta(row.current, row.baseline).percent, 'percent') },
+    ], rows, emptyText);
+}
+
+// Merge each side's top spending categories into rows. Each side's top entries are listed, with the other
+// side's amount looked up in its full (up to 100) results.
+function mergeTopCategories(currentResults, baselineResults) {
+    const key = item => item.recipient_id || item.id || item.code || item.name;
+    const amounts = results => new Map(results.map(item => [key(item), Number(item.amount) || 0]));
+    const currentAmounts = amounts(currentResults);
+    const baselineAmounts = amounts(baselineResults);
+    const rows = new Map();
+    [...currentResults.slice(0, COMPARE_TOP_COUNT), ...baselineResults.slice(0, COMPARE_TOP_COUNT)].forEach((item) => {
+        if (rows.has(key(item))) return;
+        rows.set(key(item), {
+            label: item.name || item.code || 'Unknown',
+            current: currentAmounts.has(key(item)) ? currentAmounts.get(key(item)) : null,
+            baseline: baselineAmounts.has(key(item)) ? baselineAmounts.get(key(item)) : null,
+        });
+    });
+    return [...rows.values()].sort((a, b) => Math.max(b.current || 0, b.baseline || 0) - Math.max(a.current || 0, a.baseline || 0));
+}
+
+// Awards in one list but not the other, by generated_internal_id
+function awardsOnlyIn(awards, otherAwards) {
+    const otherIds = new Set(otherAwards.map(award => award.generated_internal_id));
+    return awards.filter(award => !otherIds.has(award.generated_internal_id));
+}
+
+function createOnlyInTable(awards) {
+    return createDetailTable([
+        { label: 'Award ID', cell: award => createAwardCell(award) },
+        { label: 'Recipient', cell: award => createRecipientCell(award, award['Recipient Name']) },
+        { label: 'Awarding Agency', value: award => award['Awarding Agency'] },
+        { label: 'Amount', value: award => formatCurrency(award['Award Amount']) },
+    ], awards.slice(0, COMPARE_ONLY_ROWS), 'None.');
+}
+
+// Render Comparison
+function renderComparison(sides, current, baseline) {
+    compareResults.innerHTML = '';
+
+    // What each side searched
+    const sidesSection = createDetailSection('Searches');
+    sidesSection.appendChild(createDefinitionList(sides.map(side => [side.label, side.description])));
+    compareResults.appendChild(sidesSection);
+
+    // Totals
+    const totals = createDetailSection('Totals');
+    totals.appendChild(createComparisonTable(sides, [
+        { label: 'Obligations', current: current.obligations, baseline: baseline.obligations },
+        { label: 'Awards', current: current.count, baseline: baseline.count, format: 'number' },
+    ], { rowLabel: 'Measure' }));
+    compareResults.appendChild(totals);
+
+    // Top recipients and agencies
+    const recipients = createDetailSection(`Top ${COMPARE_TOP_COUNT} Recipients`);
+    recipients.appendChild(createComparisonTable(sides, mergeTopCategories(current.recipients, baseline.recipients), {
+        rowLabel: 'Recipient', missingText: 'Not in top 100', emptyText: 'No recipients found.',
+    }));
+    compareResults.appendChild(recipients);
+
+    const agencies = createDetailSection(`Top ${COMPARE_TOP_COUNT} Awarding Agencies`);
+    agencies.appendChild(createComparisonTable(sides, mergeTopCategories(current.agencies, baseline.agencies), {
+        rowLabel: 'Agency', missingText: 'Not in top 100', emptyText: 'No agencies found.',
+    }));
+    compareResults.appendChild(agencies);
+
+    // Awards on only one side, among each side's largest awards
+    sides.forEach((side, index) => {
+        const [awards, otherAwards] = index === 0 ? [current.awards, baseline.awards] : [baseline.awards, current.awards];
+        const section = createDetailSection(`Only in ${side.label}`);
+        const note = document.createElement('p');
+        note.className = 'compare-note';
+        note.textContent = `Awards among the ${COMPARE_AWARD_LIMIT} largest in ${side.label} that are not among the ${COMPARE_AWARD_LIMIT} largest on the other side.`;
+        section.append(note, createOnlyInTable(awardsOnlyIn(awards, otherAwards)));
+        compareResults.appendChild(section);
+    });
+}
@@ -0,0 +1,437 @@
+// Filter Model
+// Shared by the browser (loaded before script.js) and server.js (via require).
+// A "search state" is a plain object describing what the user asked for:
+//   {
+//     keywords: [], awardType: '', agencyFunction: '', agencies: [{ tier, name, toptier_name? }],
+//     dateType: '', timePeriods: [{ start_date, end_date }], naicsCodes: [], pscCodes: [],
+//     setAsideTypes: [], pricingTypes: [], placeOfPerformanceScope: '', recipientScope: '',
+//     placeOfPerformance: { state, county, zips: [] }, recipientLocation: { state, county, zips: [] },
+//     recipients: [], amountRanges: [{ min, max }], drillDowns: [{ category, value }]
+//   }
+// searchStateFromQuery()/searchStateToQuery() map it to and from URL query parameters, and
+// buildSpendingFilters() turns it into the USAspending "filters" object.
+
+// Award type groups and the individual codes they expand to
+const AWARD_TYPE_GROUPS = {
+    all_contracts: ['A', 'B', 'C', 'D'],
+    all_idvs: ['IDV_A', 'IDV_B', 'IDV_B_A', 'IDV_B_B', 'IDV_B_C', 'IDV_C', 'IDV_D', 'IDV_E'],
+    all_grants: ['02', '03', '04', '05'],
+};
+const AWARD_TYPE_CODES = [...AWARD_TYPE_GROUPS.all_contracts, ...AWARD_TYPE_GROUPS.all_grants, ...AWARD_TYPE_GROUPS.all_idvs];
+
+// USAspending rejects a search if any keyword is shorter than this
+const MIN_KEYWORD_LENGTH = 3;
+
+// Type of set-aside codes (FPDS) offered as filters
+const SET_ASIDE_TYPES = {
+    SBA: 'Small Business Set Aside - Total',
+    SBP: 'Small Business Set Aside - Partial',
+    '8A': '8(a) Competed',
+    '8AN': '8(a) Sole Source',
+    HZC: 'HUBZone Set-Aside',
+    HZS: 'HUBZone Sole Source',
+    SDVOSBC: 'Service-Disabled Veteran-Owned Small Business Set-Aside',
+    SDVOSBS: 'Service-Disabled Veteran-Owned Small Business Sole Source',
+    WOSB: 'Women-Owned Small Business',
+    WOSBSS: 'Women-Owned Small Business Sole Source',
+    EDWOSB: 'Economically Disadvantaged Women-Owned Small Business',
+    EDWOSBSS: 'Economically Disadvantaged Women-Owned Small Business Sole Source',
+    VSA: 'Veteran Set Aside',
+    ISBEE: 'Indian Small Business Economic Enterprise',
+    BI: 'Buy Indian',
+    NONE: 'No Set Aside Used',
+};
+
+// Type of contract pricing codes (FPDS) offered as filters
+const PRICING_TYPES = {
+    J: 'Firm Fixed Price',
+    K: 'Fixed Price with Economic Price Adjustment',
+    L: 'Fixed Price Incentive',
+    M: 'Fixed Price Award Fee',
+    R: 'Cost Plus Award Fee',
+    S: 'Cost No Fee',
+    T: 'Cost Sharing',
+    U: 'Cost Plus Fixed Fee',
+    V: 'Cost Plus Incentive Fee',
+    Y: 'Time and Materials',
+    Z: 'Labor Hours',
+    1: 'Order Dependent',
+    2: 'Combination',
+    3: 'Other',
+};
+
+// Analytics categories that can be applied as drill-down filters
+const DRILL_DOWN_LABELS = {
+    recipient: 'Recipient',
+    awarding_agency: 'Awarding Agency',
+    sub_agency: 'Awarding Sub-Agency',
+    naics: 'NAICS',
+    psc: 'PSC',
+    state: 'State',
+};
+
+// Default date range used when the search has no time period: the last 180 days
+function getDefaultDates(today = new Date()) {
+    const start = new Date(today);
+    start.setDate(today.getDate() - 180);
+    return {
+        startDate: start.toISOString().split('T')[0], // Format as YYYY-MM-DD
+        endDate: today.toISOString().split('T')[0], // Format as YYYY-MM-DD
+    };
+}
+
+// An empty search state
+function createSearchState() {
+    return {
+        keywords: [],
+        awardType: '',
+        agencyFunction: '',
+        agencies: [],
+        dateType: '',
+        timePeriods: [],
+        naicsCodes: [],
+        pscCodes: [],
+        setAsideTypes: [],
+        pricingTypes: [],
+        placeOfPerformanceScope: '',
+        recipientScope: '',
+        placeOfPerformance: { state: '', county: '', zips: [] },
+        recipientLocation: { state: '', county: '', zips: [] },
+        recipients: [],
+        amountRanges: [],
+        drillDowns: [],
+    };
+}
+
+// Split a comma-separated string into trimmed, non-empty values
+function splitList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+}
+
+// Parse an amount range written as "min-max" (either side may be empty)
+function parseAmountRange(value) {
+    const match = /^\s*(\d*(?:\.\d+)?)\s*-\s*(\d*(?:\.\d+)?)\s*$/.exec(value || '');
+    if (!match || (!match[1] && !match[2])) return null;
+    return { min: match[1] ? Number(match[1]) : null, max: match[2] ? Number(match[2]) : null };
+}
+
+// Format an amount range for display
+function formatAmountRange({ min, max }) {
+    const dollars = amount => `$${Number(amount).toLocaleString('en-US')}`;
+    if (min !== null && max !== null) return `${dollars(min)} - ${dollars(max)}`;
+    if (min !== null) return `${dollars(min)} or more`;
+    return `Up to ${dollars(max)}`;
+}
+
+// Search State From Query
+// Reads a search state from URLSearchParams. Repeated parameters (keyword, agency, naics, ...) become lists.
+function searchStateFromQuery(params) {
+    const state = createSearchState();
+    const getAll = name => params.getAll(name).flatMap(splitList);
+    const location = prefix => ({
+        state: (params.get(`${prefix}_state`) || '').trim().toUpperCase(),
+        county: (params.get(`${prefix}_county`) || '').trim(),
+        zips: getAll(`${prefix}_zip`),
+    });
+
+    state.keywords = getAll('keyword');
+    state.awardType = params.get('award_type') || '';
+    state.agencyFunction = params.get('agency_function') || '';
+    state.agencies = [
+        ...params.getAll('agency').filter(Boolean).map(name => ({ tier: 'toptier', name })),
+        ...params.getAll('sub_agency')
+            .map(value => value.split('::'))
+            .filter(parts => parts.length === 2 && parts[0] && parts[1])
+            .map(([toptierName, name]) => ({ tier: 'subtier', name, toptier_name: toptierName })),
+    ];
+    state.dateType = params.get('date_type') || '';
+
+    const startDate = params.get('start_date') || '';
+    const endDate = params.get('end_date') || '';
+    if (startDate || endDate) state.timePeriods.push({ start_date: startDate, end_date: endDate });
+    params.getAll('period').forEach((period) => {
+        const [start, end] = period.split('..');
+        if (start || end) state.timePeriods.push({ start_date: start || '', end_date: end || '' });
+    });
+
+    state.naicsCodes = getAll('naics');
+    state.pscCodes = getAll('psc');
+    state.setAsideTypes = getAll('set_aside');
+    state.pricingTypes = getAll('pricing');
+    state.placeOfPerformanceScope = params.get('pop_scope') || '';
+    state.recipientScope = params.get('recipient_scope') || '';
+    state.placeOfPerformance = location('pop');
+    state.recipientLocation = location('recipient');
+    state.recipients = [...getAll('recipient'), ...getAll('recipients')];
+    state.amountRanges = params.getAll('amount').map(parseAmountRange).filter(Boolean);
+    state.drillDowns = params.getAll('drill')
+        .map((entry) => {
+            const separator = entry.indexOf(':');
+            return { category: entry.slice(0, separator), value: entry.slice(separator + 1) };
+        })
+        .filter(item => DRILL_DOWN_LABELS[item.category] && item.value);
+    return state;
+}
+
+// Search State To Query
+// Writes a search state to URLSearchParams, omitting empty values. Inverse of searchStateFromQuery().
+function searchStateToQuery(state) {
+    const params = new URLSearchParams();
+    const set = (name, value) => { if (value) params.set(name, value); };
+    const appendAll = (name, values) => (values || []).forEach(value => params.append(name, value));
+    const location = (prefix, value) => {
+        if (!value) return;
+        set(`${prefix}_state`, value.state);
+        set(`${prefix}_county`, value.county);
+        appendAll(`${prefix}_zip`, value.zips);
+    };
+
+    appendAll('keyword', state.keywords);
+    set('award_type', state.awardType);
+    set('agency_function', state.agencyFunction);
+    (state.agencies || []).forEach((agency) => {
+        if (agency.tier === 'subtier') params.append('sub_agency', `${agency.toptier_name}::${agency.name}`);
+        else params.append('agency', agency.name);
+    });
+    set('date_type', state.dateType);
+    (state.timePeriods || []).forEach((period, index) => {
+        if (index === 0) {
+            set('start_date', period.start_date);
+            set('end_date', period.end_date);
+        } else {
+            params.append('period', `${period.start_date || ''}..${period.end_date || ''}`);
+        }
+    });
+    appendAll('naics', state.naicsCodes);
+    appendAll('psc', state.pscCodes);
+    appendAll('set_aside', state.setAsideTypes);
+    appendAll('pricing', state.pricingTypes);
+    set('pop_scope', state.placeOfPerformanceScope);
+    location('pop', state.placeOfPerformance);
+    set('recipient_scope', state.recipientScope);
+    location('recipient', state.recipientLocation);
+    appendAll('recipient', state.recipients);
+    (state.amountRanges || []).forEach(range => params.append('amount', `${range.min ?? ''}-${range.max ?? ''}`));
+    (state.drillDowns || []).forEach(drill => params.append('drill', `${drill.category}:${drill.value}`));
+    return params;
+}
+
+// Expand an award type selection into award type codes, defaulting to all contracts
+function awardTypeCodes(awardType) {
+    if (AWARD_TYPE_GROUPS[awardType]) return AWARD_TYPE_GROUPS[awardType];
+    if (AWARD_TYPE_CODES.includes(awardType)) return [awardType];
+    return AWARD_TYPE_GROUPS.all_contracts;
+}
+
+// Build the "agencies" filter. A toptier agency with selected sub-agencies is narrowed to those
+// sub-agencies; entries are OR'd together upstream.
+function buildAgencyFilters(agencies, agencyType) {
+    const toptiers = agencies.filter(agency => agency.tier !== 'subtier');
+    const subtiers = agencies.filter(agency => agency.tier === 'subtier');
+    const filters = [];
+
+    toptiers.forEach((agency) => {
+        const children = subtiers.filter(subAgency => subAgency.toptier_name === agency.name);
+        if (children.length === 0) {
+            filters.push({ type: agencyType, tier: 'toptier', name: agency.name });
+        }
+    });
+    subtiers.forEach((subAgency) => {
+        filters.push({ type: agencyType, tier: 'subtier', name: subAgency.name, toptier_name: subAgency.toptier_name });
+    });
+    return filters;
+}
+
+// Build USAspending location objects. ZIP codes are more specific than state/county, so they win.
+function buildLocationFilters(location) {
+    if (!location) return [];
+    if (location.zips && location.zips.length > 0) {
+        return location.zips.map(zip => ({ country: 'USA', zip }));
+    }
+    if (location.state) {
+        return [{ country: 'USA', state: location.state, ...(location.county && { county: location.county }) }];
+    }
+    return [];
+}
+
+// Narrow filters by analytics drill-downs. Agency and recipient drill-downs replace the broader
+// selection because the clicked item already came from within it.
+function applyDrillDownFilters(filters, drillDowns) {
+    (drillDowns || []).forEach(({ category, value }) => {
+        if (category === 'recipient') {
+            filters.recipient_search_text = [value];
+        } else if (category === 'awarding_agency') {
+            filters.agencies = [{ type: 'awarding', tier: 'toptier', name: value }];
+        } else if (category === 'sub_agency') {
+            filters.agencies = [{ type: 'awarding', tier: 'subtier', name: value }];
+        } else if (category === 'naics') {
+            filters.naics_codes = { require: [value] };
+        } else if (category === 'psc') {
+            filters.psc_codes = [value];
+        } else if (category === 'state') {
+            filters.place_of_performance_locations = [{ country: 'USA', state: value }];
+        }
+    });
+    return filters;
+}
+
+// Build Spending Filters
+// Constructs the USAspending "filters" object for a search state.
+function buildSpendingFilters(state, today = new Date()) {
+    const filters = {};
+    const defaultDates = getDefaultDates(today);
+
+    // Keywords
+    if (state.keywords && state.keywords.length > 0) filters.keywords = [...state.keywords];
+
+    // Award type codes (REQUIRED FIELD)
+    filters.award_type_codes = awardTypeCodes(state.awardType);
+
+    // Time periods; a missing start or end date falls back to the default range
+    const periods = state.timePeriods && state.timePeriods.length > 0 ? state.timePeriods : [{}];
+    filters.time_period = periods.map(period => ({
+        start_date: period.start_date || defaultDates.startDate,
+        end_date: period.end_date || defaultDates.endDate,
+        ...(state.dateType && { date_type: state.dateType }),
+    }));
+
+    // Agencies
+    const agencies = buildAgencyFilters(state.agencies || [], state.agencyFunction || 'awarding');
+    if (agencies.length > 0) filters.agencies = agencies;
+
+    // Industry and product codes
+    if (state.naicsCodes && state.naicsCodes.length > 0) filters.naics_codes = { require: [...state.naicsCodes] };
+    if (state.pscCodes && state.pscCodes.length > 0) filters.psc_codes = [...state.pscCodes];
+
+    // Set-aside and contract pricing types
+    if (state.setAsideTypes && state.setAsideTypes.length > 0) filters.set_aside_type_codes = [...state.setAsideTypes];
+    if (state.pricingTypes && state.pricingTypes.length > 0) filters.contract_pricing_type_codes = [...state.pricingTypes];
+
+    // Place of performance
+    if (state.placeOfPerformanceScope) filters.place_of_performance_scope = state.placeOfPerformanceScope;
+    const placeOfPerformanceLocations = buildLocationFilters(state.placeOfPerformance);
+    if (placeOfPerformanceLocations.length > 0) filters.place_of_performance_locations = placeOfPerformanceLocations;
+
+    // Recipient
+    if (state.recipientScope) filters.recipient_scope = state.recipientScope;
+    const recipientLocations = buildLocationFilters(state.recipientLocation);
+    if (recipientLocations.length > 0) filters.recipient_locations = recipientLocations;
+    if (state.recipients && state.recipients.length > 0) filters.recipient_search_text = [...state.recipients];
+
+    // Award amounts
+    if (state.amountRanges && state.amountRanges.length > 0) {
+        filters.award_amounts = state.amountRanges.map(range => ({
+            ...(range.min !== null && range.min !== undefined && { lower_bound: range.min }),
+            ...(range.max !== null && range.max !== undefined && { upper_bound: range.max }),
+        }));
+    }
+
+    return applyDrillDownFilters(filters, state.drillDowns);
+}
+
+// Shift Time Periods
+// Returns a copy of a filters object with every time period moved earlier, for period-over-period comparisons:
+//   'year'    the same dates one year earlier (FY2025 becomes FY2024; Feb 29 becomes Feb 28)
+//   'period'  the period of the same length ending the day before the original starts
+function shiftTimePeriods(filters, shift) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const parse = value => new Date(`${value}T00:00:00Z`);
+    const format = date => date.toISOString().split('T')[0];
+    const yearEarlier = (date) => {
+        const shifted = new Date(Date.UTC(date.getUTCFullYear() - 1, date.getUTCMonth(), date.getUTCDate()));
+        if (shifted.getUTCMonth() !== date.getUTCMonth()) shifted.setUTCDate(0); // Feb 29 -> Feb 28
+        return shifted;
+    };
+
+    return {
+        ...filters,
+        time_period: (filters.time_period || []).map((period) => {
+            const start = parse(period.start_date);
+            const end = parse(period.end_date);
+            if (shift === 'period') {
+                const shiftedEnd = new Date(start.getTime() - DAY_MS);
+                return { ...period, start_date: format(new Date(shiftedEnd.getTime() - (end - start))), end_date: format(shiftedEnd) };
+            }
+            return { ...period, start_date: format(yearEarlier(start)), end_date: format(yearEarlier(end)) };
+        }),
+    };
+}
+
+// Describe Search State
+// Lists the active filters as { key, label } for display as removable chips.
+// The award type is always set, so it is not listed.
+function describeSearchState(state) {
+    const chips = [];
+    const describeLocation = (prefix, title, location) => {
+        if (!location) return;
+        if (location.state) chips.push({ key: `${prefix}_state:`, label: `${title} State: ${location.state}${location.county ? ` / County ${location.county}` : ''}` });
+        (location.zips || []).forEach(zip => chips.push({ key: `${prefix}_zip:${zip}`, label: `${title} ZIP: ${zip}` }));
+    };
+
+    (state.keywords || []).forEach(keyword => chips.push({ key: `keyword:${keyword}`, label: `Keyword: ${keyword}` }));
+    (state.agencies || []).forEach(agency => chips.push({
+        key: `agency:${agency.tier}:${agency.name}`,
+        label: `${agency.tier === 'subtier' ? 'Sub-Agency' : 'Agency'}: ${agency.name}`,
+    }));
+    (state.timePeriods || []).forEach((period, index) => chips.push({
+        key: `period:${index}`,
+        label: `Period: ${period.start_date || 'default start'} to ${period.end_date || 'today'}`,
+    }));
+    (state.naicsCodes || []).forEach(code => chips.push({ key: `naics:${code}`, label: `NAICS: ${code}` }));
+    (state.pscCodes || []).forEach(code => chips.push({ key: `psc:${code}`, label: `PSC: ${code}` }));
+    (state.setAsideTypes || []).forEach(code => chips.push({ key: `set_aside:${code}`, label: `Set-Aside: ${SET_ASIDE_TYPES[code] || code}` }));
+    (state.pricingTypes || []).forEach(code => chips.push({ key: `pricing:${code}`, label: `Pricing: ${PRICING_TYPES[code] || code}` }));
+    if (state.placeOfPerformanceScope) chips.push({ key: 'pop_scope:', label: `Performance Scope: ${state.placeOfPerformanceScope}` });
+    describeLocation('pop', 'Performance', state.placeOfPerformance);
+    if (state.recipientScope) chips.push({ key: 'recipient_scope:', label: `Recipient Scope: ${state.recipientScope}` });
+    describeLocation('recipient', 'Recipient', state.recipientLocation);
+    (state.recipients || []).forEach(name => chips.push({ key: `recipient:${name}`, label: `Recipient: ${name}` }));
+    (state.amountRanges || []).forEach((range, index) => chips.push({ key: `amount:${index}`, label: `Amount: ${formatAmountRange(range)}` }));
+    (state.drillDowns || []).forEach(drill => chips.push({ key: `drill:${drill.category}`, label: `${DRILL_DOWN_LABELS[drill.category]}: ${drill.value}` }));
+    return chips;
+}
+
+// Remove From Search State
+// Returns a copy of the state without the filter identified by a describeSearchState() key.
+function removeFromSearchState(state, key) {
+    const separator = key.indexOf(':');
+    const type = key.slice(0, separator);
+    const value = key.slice(separator + 1);
+    const next = JSON.parse(JSON.stringify(state));
+    const without = (list, item) => list.filter(entry => entry !== item);
+
+    if (type === 'keyword') next.keywords = without(next.keywords, value);
+    else if (type === 'agency') {
+        const tierSeparator = value.indexOf(':');
+        const tier = value.slice(0, tierSeparator);
+        const name = value.slice(tierSeparator + 1);
+        next.agencies = next.agencies.filter(agency => !(agency.tier === tier && agency.name === name)
+            && !(tier === 'toptier' && agency.toptier_name === name)); // Removing an agency removes its sub-agencies
+    } else if (type === 'period') next.timePeriods = next.timePeriods.filter((period, index) => index !== Number(value));
+    else if (type === 'naics') next.naicsCodes = without(next.naicsCodes, value);
+    else if (type === 'psc') next.pscCodes = without(next.pscCodes, value);
+    else if (type === 'set_aside') next.setAsideTypes = without(next.setAsideTypes, value);
+    else if (type === 'pricing') next.pricingTypes = without(next.pricingTypes, value);
+    else if (type === 'pop_scope') next.placeOfPerformanceScope = '';
+    else if (type === 'pop_state') next.placeOfPerformance = { ...next.placeOfPerformance, state: '', county: '' };
+    else if (type === 'pop_zip') next.placeOfPerformance.zips = without(next.placeOfPerformance.zips, value);
+    else if (type === 'recipient_scope') next.recipientScope = '';
+    else if (type === 'recipient_state') next.recipientLocation = { ...next.recipientLocation, state: '', county: '' };
+    else if (type === 'recipient_zip') next.recipientLocation.zips = without(next.recipientLocation.zips, value);
+    else if (type === 'recipient') next.recipients = without(next.recipients, value);
+    else if (type === 'amount') next.amountRanges = next.amountRanges.filter((range, index) => index !== Number(value));
+    else if (type === 'drill') next.drillDowns = next.drillDowns.filter(drill => drill.category !== value);
+    return next;
+}
+
+// For use from server.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AWARD_TYPE_GROUPS, SET_ASIDE_TYPES, PRICING_TYPES, DRILL_DOWN_LABELS, MIN_KEYWORD_LENGTH,
+        getDefaultDates, createSearchState, searchStateFromQuery, searchStateToQuery,
+        buildSpendingFilters, describeSearchState, removeFromSearchState, parseAmountRange, shiftTimePeriods,
+    };
+}
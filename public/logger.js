@@ -0,0 +1,34 @@
+// Client Logger
+// Leveled replacement for console output. Only warnings and errors are printed unless debug logging is on:
+// open the page with ?debug=1 (remembered in localStorage until ?debug=0), or run
+// localStorage.setItem('awardSearch.debug', '1') in the browser console.
+// Loaded first so every other script can use it.
+
+const DEBUG_STORAGE_KEY = 'awardSearch.debug';
+
+// Create Client Logger
+// Returns { debug, info, warn, error, isDebugEnabled }; each method takes a message and optional details.
+function createClientLogger() {
+    let debugEnabled = false;
+    try {
+        const flag = new URLSearchParams(window.location.search).get('debug');
+        if (flag !== null) localStorage.setItem(DEBUG_STORAGE_KEY, flag === '0' ? '0' : '1');
+        debugEnabled = localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+    } catch (error) {
+        // localStorage is unavailable (e.g. blocked cookies); keep the default
+    }
+
+    const write = (method, enabled) => (message, ...details) => {
+        if (enabled()) console[method](`[award-search] ${message}`, ...details);
+    };
+
+    return {
+        debug: write('debug', () => debugEnabled),
+        info: write('info', () => debugEnabled),
+        warn: write('warn', () => true),
+        error: write('error', () => true),
+        isDebugEnabled: () => debugEnabled,
+    };
+}
+
+const logger = createClientLogger();
@@ -0,0 +1,243 @@
+// Recipient Profile Panel
+// Slide-out panel showing a recipient's parent/child hierarchy, business types, location, obligations by
+// fiscal year and top awarding agencies (from /api/recipient/:id), plus their awards matching the current search.
+// Reuses the section, list and table helpers from awardDetail.js; the award detail panel opens on top of it.
+
+const recipientPanel = document.getElementById('recipientPanel'); // Slide-out panel container
+const recipientContent = document.getElementById('recipientContent'); // Panel body
+const recipientClose = document.getElementById('recipientClose'); // Close button
+const RECIPIENT_AWARDS_LIMIT = 25; // Awards listed in the profile, largest first
+
+const RECIPIENT_LEVELS = {
+    P: 'Parent recipient',
+    C: 'Child recipient',
+    R: 'Recipient',
+};
+
+recipientClose.addEventListener('click', closeRecipientProfile);
+document.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closeRecipientProfile();
+});
+
+// Show the panel with a loading or error message
+function showRecipientMessage(text, className) {
+    recipientPanel.classList.add('open');
+    recipientPanel.setAttribute('aria-hidden', 'false');
+    recipientContent.innerHTML = '';
+    const message = document.createElement('p');
+    if (className) message.className = className;
+    message.textContent = text;
+    recipientContent.appendChild(message);
+}
+
+// Open Recipient Profile
+// Shows the panel for a USAspending recipient ID (hash and level) and loads its data.
+async function openRecipientProfile(recipientId, name) {
+    showRecipientMessage(`Loading ${name || 'recipient'}...`);
+
+    try {
+        const response = await fetch(`/api/recipient/${encodeURIComponent(recipientId)}`);
+        if (!response.ok) throw await readApiError(response, 'Failed to load the recipient profile.');
+        renderRecipientProfile(recipientId, await response.json());
+    } catch (error) {
+        logger.error("Error Fetching Recipient Profile:", error);
+        showRecipientMessage(error.message, 'error');
+        recipientContent.appendChild(createExternalRecipientLink(recipientId));
+    }
+}
+
+// Open Recipient By UEI
+// Looks up the recipient profile for a UEI (the parent profile when there is one) and opens it.
+async function openRecipientByUei(uei, name) {
+    showRecipientMessage(`Looking up UEI ${uei}...`);
+
+    try {
+        const response = await fetch(`/api/recipient/uei/${encodeURIComponent(uei)}`);
+        if (!response.ok) throw await readApiError(response, 'Failed to look up the recipient.');
+        const data = await response.json();
+        await openRecipientProfile(data.recipientId, name || data.results[0].name);
+    } catch (error) {
+        logger.error("Error Looking Up Recipient UEI:", error);
+        showRecipientMessage(error.message, 'error');
+    }
+}
+
+// Close Recipient Profile
+function closeRecipientProfile() {
+    recipientPanel.classList.remove('open');
+    recipientPanel.setAttribute('aria-hidden', 'true');
+}
+
+// Link to the recipient on usaspending.gov, kept as a secondary option
+function createExternalRecipientLink(recipientId) {
+    const link = document.createElement('a');
+    link.href = `https://www.usaspending.gov/recipient/${encodeURIComponent(recipientId)}/latest`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.className = 'external-link';
+    link.textContent = 'View on USAspending.gov';
+    return link;
+}
+
+// Link that opens another recipient's profile in this panel
+function createRecipientProfileLink(recipientId, name) {
+    return createInAppLink(`https://www.usaspending.gov/recipient/${encodeURIComponent(recipientId)}/latest`, name || recipientId, () => openRecipientProfile(recipientId, name));
+}
+
+// Amount with a bar scaled to the largest amount in its table
+function createAmountBar(amount, largest) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'timeline-amount';
+    const bar = document.createElement('span');
+    bar.className = amount < 0 ? 'timeline-bar negative' : 'timeline-bar';
+    bar.style.width = `${Math.round((Math.abs(amount) / Math.max(1, largest)) * 100)}%`;
+    const text = document.createElement('span');
+    text.textContent = formatCurrency(amount);
+    wrapper.append(bar, text);
+    return wrapper;
+}
+
+// Format a business type code (e.g. "woman_owned_business") for display
+function formatBusinessType(code) {
+    const text = String(code).replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Format the recipient's address
+function formatRecipientLocation(location = {}) {
+    const cityLine = [location.city_name, [location.state_code, location.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    return [location.address_line1, location.address_line2, cityLine, location.country_name].filter(Boolean).join(', ');
+}
+
+// Render Recipient Profile
+function renderRecipientProfile(recipientId, data) {
+    const { recipient, children, obligationsByYear, topAgencies } = data;
+    const location = recipient.location || {};
+
+    recipientContent.innerHTML = '';
+
+    const title = document.createElement('h2');
+    title.textContent = recipient.name || recipientId;
+    recipientContent.appendChild(title);
+    recipientContent.appendChild(createExternalRecipientLink(recipientId));
+
+    // Summary
+    const summary = createDetailSection('Summary');
+    summary.appendChild(createDefinitionList([
+        ['UEI', recipient.uei],
+        ['DUNS', recipient.duns],
+        ['Alternate Names', (recipient.alternate_names || []).join(', ')],
+        ['Total Obligations', formatCurrency(recipient.total_transaction_amount)],
+        ['Transactions', recipient.total_transactions !== undefined ? Number(recipient.total_transactions).toLocaleString() : null],
+        ['Location', formatRecipientLocation(location)],
+        ['Congressional District', location.state_code && location.congressional_code ? `${location.state_code}-${location.congressional_code}` : null],
+    ]));
+    recipientContent.appendChild(summary);
+
+    // Hierarchy: a child links up to its parent, a parent lists its children
+    const hierarchy = createDetailSection('Recipient Hierarchy');
+    hierarchy.appendChild(createDefinitionList([
+        ['Level', RECIPIENT_LEVELS[recipient.recipient_level] || recipient.recipient_level],
+        ['Parent', recipient.parent_id && recipient.parent_id !== recipientId
+            ? createRecipientProfileLink(recipient.parent_id, recipient.parent_name)
+            : recipient.parent_name],
+        ['Parent UEI', recipient.parent_uei],
+    ]));
+    if (recipient.recipient_level === 'P') {
+        appendSectionError(hierarchy, children);
+        hierarchy.appendChild(createDetailTable([
+            { label: 'Child Recipient', value: row => createRecipientProfileLink(row.recipient_id, row.name) },
+            { label: 'UEI', value: row => row.uei },
+            { label: 'State', value: row => row.state_province },
+            { label: 'Obligations', value: row => formatCurrency(row.amount) },
+        ], [...children.results].sort((a, b) => (Number(b.amount) || 0) - (Number(a.amount) || 0)), 'No child recipients reported.'));
+    }
+    recipientContent.appendChild(hierarchy);
+
+    // Business types
+    const businessTypes = createDetailSection('Business Types');
+    const types = recipient.business_types || [];
+    if (types.length === 0) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No business types reported.';
+        businessTypes.appendChild(empty);
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'business-types';
+        types.forEach((type) => {
+            const item = document.createElement('li');
+            item.textContent = formatBusinessType(type);
+            list.appendChild(item);
+        });
+        businessTypes.appendChild(list);
+    }
+    recipientContent.appendChild(businessTypes);
+
+    // Obligations by fiscal year, most recent first
+    const years = createDetailSection('Obligations by Fiscal Year');
+    appendSectionError(years, obligationsByYear);
+    const yearRows = obligationsByYear.results.filter(row => Number(row.amount)).sort((a, b) => b.fiscal_year - a.fiscal_year);
+    const largestYear = Math.max(0, ...yearRows.map(row => Math.abs(Number(row.amount))));
+    years.appendChild(createDetailTable([
+        { label: 'Fiscal Year', value: row => `FY${row.fiscal_year}` },
+        { label: 'Obligations', value: row => createAmountBar(Number(row.amount), largestYear) },
+    ], yearRows, 'No obligations found.'));
+    recipientContent.appendChild(years);
+
+    // Top awarding agencies
+    const agencies = createDetailSection('Top Awarding Agencies');
+    appendSectionError(agencies, topAgencies);
+    const largestAgency = Math.max(0, ...topAgencies.results.map(row => Math.abs(Number(row.amount) || 0)));
+    agencies.appendChild(createDetailTable([
+        { label: 'Agency', value: row => [row.name, row.code && `(${row.code})`].filter(Boolean).join(' ') },
+        { label: 'Obligations', value: row => createAmountBar(Number(row.amount) || 0, largestAgency) },
+    ], topAgencies.results, 'No awarding agencies found.'));
+    recipientContent.appendChild(agencies);
+
+    // Awards matching the current search, loaded separately so the profile shows right away
+    const awards = createDetailSection('Awards Matching the Current Search');
+    recipientContent.appendChild(awards);
+    loadRecipientAwards(recipientId, awards);
+}
+
+// Load Recipient Awards
+// Lists the recipient's largest awards that also match the search form's filters.
+async function loadRecipientAwards(recipientId, section) {
+    const status = document.createElement('p');
+    status.textContent = 'Loading awards...';
+    section.appendChild(status);
+
+    try {
+        const response = await fetch('/api/search', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filters: { ...buildFilters(), recipient_id: recipientId },
+                fields: SEARCH_FIELDS,
+                limit: RECIPIENT_AWARDS_LIMIT,
+                page: 1,
+                sort: 'Award Amount',
+                order: 'desc',
+            }),
+        });
+        if (!response.ok) throw await readApiError(response, 'Failed to load awards.');
+        const data = await response.json();
+        logger.debug("Recipient Awards Response:", data);
+
+        const hasMore = Boolean(data.page_metadata && data.page_metadata.hasNext);
+        status.textContent = hasMore
+            ? `Showing the ${RECIPIENT_AWARDS_LIMIT} largest awards; refine the search to see others.`
+            : '';
+        section.appendChild(createDetailTable([
+            { label: 'Award ID', cell: row => createAwardCell(row) },
+            { label: 'Type', value: row => row['Award Type'] },
+            { label: 'Awarding Agency', value: row => row['Awarding Agency'] },
+            { label: 'Amount', value: row => formatCurrency(row['Award Amount']) },
+            { label: 'Description', value: row => row['Description'] },
+        ], data.results || [], 'No awards match the current search.'));
+    } catch (error) {
+        logger.error("Error Fetching Recipient Awards:", error);
+        status.className = 'error';
+        status.textContent = error.message;
+    }
+}
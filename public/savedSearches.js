@@ -0,0 +1,207 @@
+// Saved Searches
+// Lets users name and save the current filters, lists saved searches with a badge of new hits,
+// and shows the new/modified awards found by the server-side scheduler.
+// Depends on buildFilters(), readSearchState(), readApiError(), showError() and errorMessage from script.js.
+
+const savedSearchName = document.getElementById('savedSearchName'); // Name for the search being saved
+const savedSearchWebhook = document.getElementById('savedSearchWebhook'); // Optional webhook URL
+const saveSearchButton = document.getElementById('saveSearchButton'); // Saves the current filters
+const savedSearchList = document.getElementById('savedSearchList'); // List of saved searches
+const savedSearchDetails = document.getElementById('savedSearchDetails'); // New/modified awards for the selected search
+
+saveSearchButton.addEventListener('click', async () => {
+    await saveCurrentSearch();
+});
+
+// Send a JSON request to a saved search endpoint and surface the server's structured error on failure
+async function savedSearchRequest(url, options = {}) {
+    const response = await fetch(url, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options,
+    });
+    if (!response.ok) throw await readApiError(response, 'Saved search request failed.');
+    return response.status === 204 ? null : response.json();
+}
+
+// Save Current Search
+// Stores the filters built from the form under the given name, along with the form's query string
+// so the search can be loaded back into the form and rebuilt by the server on each run.
+async function saveCurrentSearch() {
+    const name = savedSearchName.value.trim();
+    if (!name) {
+        errorMessage.textContent = 'Enter a name to save this search.';
+        return;
+    }
+
+    const filters = buildFilters();
+
+    try {
+        await savedSearchRequest('/api/saved-searches', {
+            method: 'POST',
+            body: JSON.stringify({ name, filters, query: searchStateToQuery(readSearchState()).toString(), webhookUrl: savedSearchWebhook.value.trim() || undefined }),
+        });
+        savedSearchName.value = '';
+        savedSearchWebhook.value = '';
+        errorMessage.textContent = '';
+        await loadSavedSearches();
+    } catch (error) {
+        logger.error("Error Saving Search:", error);
+        showError(error);
+    }
+}
+
+// Load Saved Searches
+// Fetches the saved search list and renders it with new-hit badges.
+async function loadSavedSearches() {
+    try {
+        const data = await savedSearchRequest('/api/saved-searches');
+        renderSavedSearches(data.results);
+    } catch (error) {
+        logger.error("Error Loading Saved Searches:", error);
+    }
+}
+
+// Render Saved Searches
+function renderSavedSearches(searches) {
+    savedSearchList.innerHTML = '';
+
+    if (searches.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'saved-search-empty';
+        item.textContent = 'No saved searches yet.';
+        savedSearchList.appendChild(item);
+        return;
+    }
+
+    searches.forEach((search) => {
+        const item = document.createElement('li');
+        item.className = 'saved-search';
+
+        const title = document.createElement('span');
+        title.className = 'saved-search-name';
+        title.textContent = search.name;
+        item.appendChild(title);
+
+        if (search.unseenNewCount > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'badge';
+            badge.textContent = search.unseenNewCount;
+            badge.title = `${search.unseenNewCount} new awards since you last checked`;
+            item.appendChild(badge);
+        }
+
+        const status = document.createElement('small');
+        status.className = 'saved-search-status';
+        if (search.lastRunStatus === 'error') {
+            status.textContent = `Last run failed: ${search.lastRunError}`;
+        } else if (search.lastRunAt) {
+            status.textContent = `Last run ${new Date(search.lastRunAt).toLocaleString()} (${search.lastRunTotal} awards)`;
+        } else {
+            status.textContent = 'Not run yet';
+        }
+        item.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-search-actions';
+        if (search.query) actions.appendChild(createSavedSearchButton('Load', () => loadSavedSearchIntoForm(search)));
+        actions.appendChild(createSavedSearchButton('View', () => showSavedSearch(search.id)));
+        actions.appendChild(createSavedSearchButton('Run now', () => runSavedSearch(search.id)));
+        actions.appendChild(createSavedSearchButton('Delete', () => deleteSavedSearch(search)));
+        item.appendChild(actions);
+
+        savedSearchList.appendChild(item);
+    });
+}
+
+// Create a small action button for a saved search row
+function createSavedSearchButton(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Load Saved Search Into Form
+// Restores a saved search's filters into the form and runs it.
+async function loadSavedSearchIntoForm(search) {
+    applyFormState(new URLSearchParams(search.query));
+    currentPage = 1;
+    pushSearchState();
+    await fetchResults();
+}
+
+// Show Saved Search
+// Displays the new and modified awards from the latest run and clears the new-hit badge.
+async function showSavedSearch(id) {
+    try {
+        const search = await savedSearchRequest(`/api/saved-searches/${encodeURIComponent(id)}`);
+        savedSearchDetails.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.textContent = search.name;
+        savedSearchDetails.appendChild(heading);
+        savedSearchDetails.appendChild(createAwardList('New awards', search.recentNew));
+        savedSearchDetails.appendChild(createAwardList('Modified awards', search.recentModified));
+        savedSearchDetails.style.display = 'block';
+
+        if (search.unseenNewCount > 0) {
+            await savedSearchRequest(`/api/saved-searches/${encodeURIComponent(id)}/acknowledge`, { method: 'POST' });
+            await loadSavedSearches();
+        }
+    } catch (error) {
+        logger.error("Error Loading Saved Search:", error);
+        showError(error);
+    }
+}
+
+// Build a titled list of awards linking to usaspending.gov
+function createAwardList(title, awards) {
+    const section = document.createElement('div');
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${awards.length})`;
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    awards.forEach((award) => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `https://www.usaspending.gov/award/${award['generated_internal_id']}`;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = award['Award ID'] || 'N/A';
+        item.appendChild(link);
+        const amount = award['Award Amount'] ? ` $${award['Award Amount'].toLocaleString()}` : '';
+        item.appendChild(document.createTextNode(` ${award['Recipient Name'] || 'N/A'}${amount} (modified ${award['Last Modified Date'] || 'N/A'})`));
+        list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+}
+
+// Run Saved Search
+// Re-executes a saved search immediately instead of waiting for the scheduler.
+async function runSavedSearch(id) {
+    try {
+        await savedSearchRequest(`/api/saved-searches/${encodeURIComponent(id)}/run`, { method: 'POST' });
+        await loadSavedSearches();
+    } catch (error) {
+        logger.error("Error Running Saved Search:", error);
+        showError(error);
+    }
+}
+
+// Delete Saved Search
+async function deleteSavedSearch(search) {
+    if (!confirm(`Delete saved search "${search.name}"?`)) return;
+    try {
+        await savedSearchRequest(`/api/saved-searches/${encodeURIComponent(search.id)}`, { method: 'DELETE' });
+        savedSearchDetails.style.display = 'none';
+        await loadSavedSearches();
+    } catch (error) {
+        logger.error("Error Deleting Saved Search:", error);
+        showError(error);
+    }
+}
+
+loadSavedSearches();
@@ -8,274 +8,635 @@ const errorMessage = document.getElementById('errorMessage'); // Container for e
 const loader = document.querySelector('.loader'); // Loader to indicate loading state
 const recordInfo = document.getElementById('recordInfo'); // Displays record information (e.g., "Showing records 1 to 50")
 const totalRecordCountElement = document.getElementById('totalRecordCount'); // Displays the total number of records
+const exportButton = document.getElementById('exportButton'); // Export: starts a full result-set download
+const exportFormat = document.getElementById('exportFormat'); // Export: CSV, XLSX or JSON selection
+const exportProgress = document.getElementById('exportProgress'); // Export: progress text
+const resultsTableHead = document.getElementById('resultsTable').querySelector('thead'); // Table header (rebuilt for the chosen columns)
+const columnChooser = document.getElementById('columnChooser'); // Column chooser checkboxes
+const pageSizeSelect = document.getElementById('pageSize'); // Results per page
+const jumpPageInput = document.getElementById('jumpPage'); // Page number to jump to
+const jumpPageButton = document.getElementById('jumpPageButton'); // Jumps to jumpPageInput's page
+const activeFilters = document.getElementById('activeFilters'); // Chips for the filters of the current search
+const extraPeriods = document.getElementById('extraPeriods'); // Additional time period rows
+const amountRangeOptions = document.getElementById('amountRangeOptions'); // Preset award amount checkboxes
+const searchModeSelect = document.getElementById('searchMode'); // Prime awards, subawards or transactions
 let currentPage = 1; // Current page number for pagination
+let lastCountKey = null; // Filters the total count was last fetched for
+let lastTotalCount = 0; // Total count for lastCountKey, reused while paging
+
+// Fields requested from the Spending by Award API for prime awards (also sent to /api/export)
+const SEARCH_FIELDS = ['Awarding Agency','Awarding Agency Code','Awarding Sub Agency', 'Awarding Sub Agency Code', 'Funding Agency', 'Funding Agency Code','Funding Sub Agency', 'Funding Sub Agency Code', 'Award ID', 'Award Amount', 'Infrastructure Outlays', 'Infrastructure Obligations', 'Description', 'Award Type','Primary Place of Performance', 'Last Modified Date', 'Base Obligation Date', 'Recipient Name', 'Recipient UEI','recipient_id','prime_award_recipient_id'];
+
+// Result Table Columns
+// Every prime award column the table can show, in display order. Each field must be in SEARCH_FIELDS;
+// sortable columns are sent to the API as the sort field when their header is clicked.
+const RESULT_COLUMNS = [
+    { field: 'Recipient Name', label: 'Recipient', sortable: true, cell: award => createRecipientCell(award, award['Recipient Name']) },
+    { field: 'Recipient UEI', label: 'Recipient UEI', sortable: true, cell: award => createRecipientCell(award, award['Recipient UEI']) },
+    { field: 'Award ID', label: 'Award ID', sortable: true, cell: award => createAwardCell(award) },
+    { field: 'Award Type', label: 'Award Type', sortable: true },
+    { field: 'Description', label: 'Description', sortable: true },
+    { field: 'Award Amount', label: 'Amount', sortable: true, format: 'currency' },
+    { field: 'Awarding Agency', label: 'Awarding Agency', sortable: true },
+    { field: 'Awarding Agency Code', label: 'Awarding Agency Code', sortable: true },
+    { field: 'Awarding Sub Agency', label: 'Awarding Sub Agency', sortable: true },
+    { field: 'Awarding Sub Agency Code', label: 'Awarding Sub Agency Code', sortable: true },
+    { field: 'Funding Agency', label: 'Funding Agency', sortable: true },
+    { field: 'Funding Agency Code', label: 'Funding Agency Code', sortable: true },
+    { field: 'Funding Sub Agency', label: 'Funding Sub Agency', sortable: true },
+    { field: 'Funding Sub Agency Code', label: 'Funding Sub Agency Code', sortable: true },
+    { field: 'Primary Place of Performance', label: 'Place of Performance', sortable: false, format: 'location' },
+    { field: 'Base Obligation Date', label: 'Base Obligation Date', sortable: true },
+    { field: 'Last Modified Date', label: 'Last Modified', sortable: true },
+    { field: 'Infrastructure Obligations', label: 'Infrastructure Obligations', sortable: true, format: 'currency' },
+    { field: 'Infrastructure Outlays', label: 'Infrastructure Outlays', sortable: true, format: 'currency' },
+];
+const DEFAULT_VISIBLE_COLUMNS = ['Recipient Name', 'Award ID', 'Award Type', 'Description', 'Award Amount'];
+
+// Fields and columns for subaward searches (spending_by_award with subawards: true)
+const SUBAWARD_FIELDS = ['Sub-Award ID', 'Sub-Award Type', 'Sub-Awardee Name', 'Sub-Recipient UEI', 'Sub-Award Date', 'Sub-Award Amount', 'Sub-Award Description', 'Awarding Agency', 'Awarding Sub Agency', 'Prime Award ID', 'Prime Recipient Name', 'Prime Award Recipient UEI', 'prime_award_recipient_id', 'prime_award_generated_internal_id'];
+const SUBAWARD_COLUMNS = [
+    { field: 'Sub-Awardee Name', label: 'Sub-Recipient', sortable: true, cell: row => createSubRecipientCell(row, row['Sub-Awardee Name']) },
+    { field: 'Sub-Recipient UEI', label: 'Sub-Recipient UEI', sortable: true, cell: row => createSubRecipientCell(row, row['Sub-Recipient UEI']) },
+    { field: 'Sub-Award ID', label: 'Sub-Award ID', sortable: true },
+    { field: 'Sub-Award Type', label: 'Sub-Award Type', sortable: true },
+    { field: 'Sub-Award Description', label: 'Description', sortable: true },
+    { field: 'Sub-Award Amount', label: 'Amount', sortable: true, format: 'currency' },
+    { field: 'Sub-Award Date', label: 'Sub-Award Date', sortable: true },
+    { field: 'Prime Award ID', label: 'Prime Award ID', sortable: true, cell: row => createAwardCell({ generated_internal_id: row['prime_award_generated_internal_id'], 'Award ID': row['Prime Award ID'] }) },
+    { field: 'Prime Recipient Name', label: 'Prime Recipient', sortable: true, cell: row => createPrimeRecipientCell(row, row['Prime Recipient Name']) },
+    { field: 'Prime Award Recipient UEI', label: 'Prime Recipient UEI', sortable: true, cell: row => createPrimeRecipientCell(row, row['Prime Award Recipient UEI']) },
+    { field: 'Awarding Agency', label: 'Awarding Agency', sortable: true },
+    { field: 'Awarding Sub Agency', label: 'Awarding Sub Agency', sortable: true },
+];
+
+// Fields and columns for transaction searches (spending_by_transaction): one row per award action
+const TRANSACTION_FIELDS = ['Award ID', 'Mod', 'Recipient Name', 'Recipient UEI', 'Action Date', 'Action Type', 'Transaction Amount', 'Transaction Description', 'Award Type', 'Awarding Agency', 'Awarding Sub Agency', 'Funding Agency', 'Funding Sub Agency', 'Primary Place of Performance', 'generated_internal_id'];
+const TRANSACTION_COLUMNS = [
+    { field: 'Recipient Name', label: 'Recipient', sortable: true, cell: row => createRecipientCell(row, row['Recipient Name']) },
+    { field: 'Recipient UEI', label: 'Recipient UEI', sortable: true, cell: row => createRecipientCell(row, row['Recipient UEI']) },
+    { field: 'Award ID', label: 'Award ID', sortable: true, cell: row => createAwardCell(row) },
+    { field: 'Mod', label: 'Modification', sortable: true },
+    { field: 'Action Date', label: 'Action Date', sortable: true },
+    { field: 'Action Type', label: 'Action Type', sortable: true },
+    { field: 'Award Type', label: 'Award Type', sortable: true },
+    { field: 'Transaction Description', label: 'Description', sortable: true },
+    { field: 'Transaction Amount', label: 'Amount', sortable: true, format: 'currency' },
+    { field: 'Awarding Agency', label: 'Awarding Agency', sortable: true },
+    { field: 'Awarding Sub Agency', label: 'Awarding Sub Agency', sortable: true },
+    { field: 'Funding Agency', label: 'Funding Agency', sortable: true },
+    { field: 'Funding Sub Agency', label: 'Funding Sub Agency', sortable: true },
+    { field: 'Primary Place of Performance', label: 'Place of Performance', sortable: false, format: 'location' },
+];
+
+// Search Modes
+// Each mode searches and counts through its own proxy endpoints with its own fields and columns; the filters
+// from buildFilters() are the same for every mode. Transactions have no default upstream sort, so one is set.
+const SEARCH_MODES = {
+    awards: { searchUrl: '/api/search', countUrl: '/api/count', fields: SEARCH_FIELDS, columns: RESULT_COLUMNS, defaultColumns: DEFAULT_VISIBLE_COLUMNS, defaultSort: null },
+    subawards: { searchUrl: '/api/subawards/search', countUrl: '/api/subawards/count', fields: SUBAWARD_FIELDS, columns: SUBAWARD_COLUMNS, defaultColumns: ['Sub-Awardee Name', 'Sub-Award ID', 'Prime Award ID', 'Sub-Award Description', 'Sub-Award Amount'], defaultSort: null },
+    transactions: { searchUrl: '/api/transactions/search', countUrl: '/api/transactions/count', fields: TRANSACTION_FIELDS, columns: TRANSACTION_COLUMNS, defaultColumns: ['Recipient Name', 'Award ID', 'Mod', 'Action Date', 'Transaction Description', 'Transaction Amount'], defaultSort: 'Action Date' },
+};
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100]; // 100 is the largest page spending_by_award accepts
+const MAX_PAGE = 10000; // Highest page the server accepts (MAX_PAGE in lib/validation.js)
+const TABLE_PREFERENCES_KEY = 'awardSearch.tablePreferences'; // localStorage key for prime award table preferences; other modes add a suffix
+let tablePreferences = loadTablePreferences(); // { columns, sort, order, pageSize } for the current search mode
+let lastResultsData = null; // Last page of results, re-rendered when the columns change
+
+// US States and Territories
+// Options for the place of performance and recipient location state selects.
+const US_STATES = {
+    AL: 'Alabama', AK: 'Alaska', AS: 'American Samoa', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia',
+    GU: 'Guam', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan',
+    MN: 'Minnesota', MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+    NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina',
+    ND: 'North Dakota', MP: 'Northern Mariana Islands', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+    PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island', SC: 'South Carolina', SD: 'South Dakota',
+    TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont', VI: 'U.S. Virgin Islands', VA: 'Virginia',
+    WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+};
+
+// Preset award amount ranges offered as checkboxes ({ min, max }, null for open-ended)
+const AMOUNT_RANGE_PRESETS = [
+    { min: null, max: 1000000 },
+    { min: 1000000, max: 25000000 },
+    { min: 25000000, max: 100000000 },
+    { min: 100000000, max: 500000000 },
+    { min: 500000000, max: null },
+];
+
+// NAICS and PSC Pickers
+// Type-ahead multi-selects backed by the /api/autocomplete proxy routes.
+const naicsPicker = createTypeahead({
+    container: document.getElementById('naicsPicker'),
+    inputId: 'naicsCodes',
+    placeholder: 'Type a NAICS code or industry',
+    minLength: 2,
+    fetchSuggestions: async (text) => {
+        const data = await fetchAutocomplete('naics', text);
+        return data.results.map(item => ({ key: String(item.naics), label: String(item.naics), detail: item.naics_description, code: String(item.naics) }));
+    },
+});
+
+const pscPicker = createTypeahead({
+    container: document.getElementById('pscPicker'),
+    inputId: 'pscCodes',
+    placeholder: 'Type a PSC code or product/service',
+    minLength: 2,
+    fetchSuggestions: async (text) => {
+        const data = await fetchAutocomplete('psc', text);
+        return data.results.map(item => ({ key: item.product_or_service_code, label: item.product_or_service_code, detail: item.psc_description, code: item.product_or_service_code }));
+    },
+});
+
+// Fetch Autocomplete
+// POSTs search text to an /api/autocomplete proxy route.
+async function fetchAutocomplete(type, text) {
+    const response = await fetch(`/api/autocomplete/${type}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ search_text: text, limit: 10 }),
+    });
+    if (!response.ok) throw new Error(`Failed to load ${type} suggestions.`);
+    return response.json();
+}
 
 // Event Listeners for Form Submission and Pagination
 document.getElementById('searchForm').addEventListener('submit', async (event) => {
     event.preventDefault(); // Prevent default form submission
     currentPage = 1; // Reset to the first page for a new search
-    console.log("Search Form Submitted: Resetting to Page 1");
+    logger.debug("Search Form Submitted: Resetting to Page 1");
+    pushSearchState(); // Record the search in the URL and browser history
     await fetchResults(); // Fetch search results
 
 });
 
 prevButton.addEventListener('click', async () => {
     currentPage -= 1; // Decrease current page number
-    console.log("Previous Button Clicked: Current Page:", currentPage);
+    logger.debug("Previous Button Clicked: Current Page:", currentPage);
+    pushSearchState();
     await fetchResults(); // Fetch results for the new page
 });
 
 nextButton.addEventListener('click', async () => {
     currentPage += 1; // Increase current page number
-    console.log("Next Button Clicked: Current Page:", currentPage);
+    logger.debug("Next Button Clicked: Current Page:", currentPage);
+    pushSearchState();
     await fetchResults(); // Fetch results for the new page
 });
 
-// Get Default Dates for Filters
-// This function calculates a default date range of the last 60 days.
-function getDefaultDates() {
-    const today = new Date();
-    const start = new Date(today);
-    start.setDate(today.getDate() - 180); // Set the start date to 60 days before today
-    return {
-        startDate: start.toISOString().split('T')[0], // Format as YYYY-MM-DD
-        endDate: today.toISOString().split('T')[0], // Format as YYYY-MM-DD
+// Back/forward navigate between searches recorded by pushSearchState()
+window.addEventListener('popstate', async () => {
+    await restoreSearchFromUrl();
+});
+
+pageSizeSelect.addEventListener('change', async () => {
+    saveTablePreferences({ pageSize: parseInt(pageSizeSelect.value, 10) });
+    if (!lastResultsData) return;
+    currentPage = 1; // Page boundaries move with the page size
+    pushSearchState();
+    await fetchResults();
+});
+
+// Switching modes keeps the filters and reruns a search that is already showing
+searchModeSelect.addEventListener('change', async () => {
+    const hasResults = lastResultsData !== null;
+    setSearchMode(searchModeSelect.value);
+    currentPage = 1;
+    if (!hasResults) return;
+    pushSearchState();
+    await fetchResults();
+});
+
+jumpPageButton.addEventListener('click', async () => {
+    await jumpToPage(parseInt(jumpPageInput.value, 10));
+});
+
+jumpPageInput.addEventListener('keydown', async (event) => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    await jumpToPage(parseInt(jumpPageInput.value, 10));
+});
+
+exportButton.addEventListener('click', async () => {
+    await exportResults(exportFormat.value); // Download every page for the current filters
+});
+
+document.getElementById('addPeriodButton').addEventListener('click', () => {
+    addPeriodRow(); // Add another start/end date pair
+});
+
+// Read Search State
+// Reads the search form into the filter model's search state (see filterModel.js).
+function readSearchState() {
+    const state = createSearchState();
+    const value = id => document.getElementById(id).value.trim();
+    const selectedOptions = id => [...document.getElementById(id).selectedOptions].map(option => option.value);
+    const location = prefix => ({
+        state: value(`${prefix}State`),
+        county: value(`${prefix}County`),
+        zips: value(`${prefix}Zip`).split(',').map(zip => zip.trim()).filter(Boolean),
+    });
+
+    state.keywords = value('keyword').split(',').map(keyword => keyword.trim()).filter(Boolean);
+    state.awardType = document.getElementById('awardType').value;
+    state.agencyFunction = value('agencyDetails');
+    state.agencies = getAgencyState();
+    state.dateType = document.getElementById('dateType').value;
+
+    // Time periods: the first row is always present, additional rows are optional
+    const firstPeriod = { start_date: value('startDate'), end_date: value('endDate') };
+    const additionalPeriods = [...extraPeriods.querySelectorAll('.period-row')].map(row => ({
+        start_date: row.querySelector('.period-start').value,
+        end_date: row.querySelector('.period-end').value,
+    }));
+    state.timePeriods = [firstPeriod, ...additionalPeriods].filter(period => period.start_date || period.end_date);
+
+    state.naicsCodes = naicsPicker.getSelected().map(item => item.code);
+    state.pscCodes = pscPicker.getSelected().map(item => item.code);
+    state.setAsideTypes = selectedOptions('setAsideTypes');
+    state.pricingTypes = selectedOptions('pricingTypes');
+    state.placeOfPerformanceScope = value('placeOfPerformanceScope');
+    state.placeOfPerformance = location('pop');
+    state.recipientScope = value('recipientScope');
+    state.recipientLocation = location('recipient');
+    state.recipients = value('recipientSearchText').split(',').map(item => item.trim()).filter(Boolean);
+
+    // Award amounts: checked presets plus the custom range, if either bound is set
+    state.amountRanges = [...amountRangeOptions.querySelectorAll('input:checked')].map(input => AMOUNT_RANGE_PRESETS[Number(input.value)]);
+    const customRange = parseAmountRange(`${value('amountMin')}-${value('amountMax')}`);
+    if (customRange) state.amountRanges.push(customRange);
+
+    state.drillDowns = getDrillDowns();
+    return state;
+}
+
+// Write Search State
+// Fills the search form from a search state. Anything missing from the state is cleared.
+function writeSearchState(state) {
+    const setValue = (id, value) => { document.getElementById(id).value = value || ''; };
+    const setSelectedOptions = (id, values) => {
+        [...document.getElementById(id).options].forEach((option) => { option.selected = values.includes(option.value); });
     };
+    const setLocation = (prefix, location) => {
+        setValue(`${prefix}State`, location.state);
+        setValue(`${prefix}County`, location.county);
+        setValue(`${prefix}Zip`, location.zips.join(', '));
+    };
+
+    setValue('keyword', state.keywords.join(', '));
+    setValue('awardType', state.awardType);
+    setValue('agencyDetails', state.agencyFunction);
+    setAgencyState(state.agencies);
+    setValue('dateType', state.dateType);
+
+    const [firstPeriod = {}, ...additionalPeriods] = state.timePeriods;
+    setValue('startDate', firstPeriod.start_date);
+    setValue('endDate', firstPeriod.end_date);
+    extraPeriods.innerHTML = '';
+    additionalPeriods.forEach(period => addPeriodRow(period));
+
+    naicsPicker.setSelected(state.naicsCodes.map(code => ({ key: code, label: code, code })));
+    pscPicker.setSelected(state.pscCodes.map(code => ({ key: code, label: code, code })));
+    setSelectedOptions('setAsideTypes', state.setAsideTypes);
+    setSelectedOptions('pricingTypes', state.pricingTypes);
+    setValue('placeOfPerformanceScope', state.placeOfPerformanceScope);
+    setLocation('pop', state.placeOfPerformance);
+    setValue('recipientScope', state.recipientScope);
+    setLocation('recipient', state.recipientLocation);
+    setValue('recipientSearchText', state.recipients.join(', '));
+
+    // Ranges matching a preset check its box; the first other range fills the custom inputs
+    const isPreset = range => AMOUNT_RANGE_PRESETS.some(preset => preset.min === range.min && preset.max === range.max);
+    amountRangeOptions.querySelectorAll('input').forEach((input) => {
+        const preset = AMOUNT_RANGE_PRESETS[Number(input.value)];
+        input.checked = state.amountRanges.some(range => range.min === preset.min && range.max === preset.max);
+    });
+    const customRange = state.amountRanges.find(range => !isPreset(range)) || {};
+    setValue('amountMin', customRange.min ?? '');
+    setValue('amountMax', customRange.max ?? '');
+
+    setDrillDowns(state.drillDowns);
+
+    // Open the advanced filters when any of them are set so the restored state is visible
+    const advancedFilters = document.getElementById('advancedFilters');
+    const hasAdvanced = describeSearchState({ ...state, keywords: [], drillDowns: [] }).length > 0;
+    if (advancedFilters && hasAdvanced) advancedFilters.open = true;
 }
 
-// Build Filters
-// Constructs the filters object based on user input from the form.
-function buildFilters() {
-    const keyword = document.getElementById('keyword').value.trim(); // Get keyword
-    const agencyTypeElement = document.getElementById('agencyType'); // Get agency type element
-    const agencyType = agencyTypeElement ? agencyTypeElement.value.trim() : ""; // Get agency type value
-    const subAgencyType = document.getElementById('subAgencyType').value.trim(); // Get sub-agency type
-    const agencyDetails = document.getElementById('agencyDetails').value.trim(); // Get agency details
-    const placeOfPerformanceScope = document.getElementById('placeOfPerformanceScope').value.trim(); // Get place of performance scope
-    const recipientScope = document.getElementById('recipientScope').value.trim(); // Get recipient scope
-    const recipientSearchText = document.getElementById('recipientSearchText')?.value || ""; // Get recipient search text
-    const awardType = document.getElementById('awardType').value; // Get award type
-    let startDate = document.getElementById('startDate').value; // Get start date
-    let endDate = document.getElementById('endDate').value; // Get end date
-    const dateType = document.getElementById('dateType').value; // Get date type
-
-    // Apply default dates if start or end date is not provided
-    if (!startDate || !endDate) {
-        const defaultDates = getDefaultDates();
-        startDate = startDate || defaultDates.startDate;
-        endDate = endDate || defaultDates.endDate;
-    }
+// Get Form State
+// Reads the search form (and current page) into URL query parameters, omitting empty fields.
+function getFormState() {
+    const params = searchStateToQuery(readSearchState());
+    if (searchModeSelect.value !== 'awards') params.set('mode', searchModeSelect.value);
+    if (currentPage > 1) params.set('page', String(currentPage));
+    return params;
+}
 
-    const filters = {}; // Initialize filters object
+// Apply Form State
+// Fills the search form, search mode and current page from URL query parameters.
+function applyFormState(params) {
+    writeSearchState(searchStateFromQuery(params));
+    if ((params.get('mode') || 'awards') !== searchModeSelect.value) setSearchMode(params.get('mode'));
+    const page = parseInt(params.get('page'), 10);
+    currentPage = page > 0 ? page : 1;
+}
 
-    // Add keyword filter
-    if (keyword) filters.keywords = [keyword];
+// Add Period Row
+// Adds a start/end date pair for searching several time periods at once.
+function addPeriodRow(period = {}) {
+    const row = document.createElement('div');
+    row.className = 'period-row';
+    const start = document.createElement('input');
+    start.type = 'date';
+    start.className = 'period-start';
+    start.setAttribute('aria-label', 'Additional period start date');
+    start.value = period.start_date || '';
+    const end = document.createElement('input');
+    end.type = 'date';
+    end.className = 'period-end';
+    end.setAttribute('aria-label', 'Additional period end date');
+    end.value = period.end_date || '';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'period-remove';
+    remove.setAttribute('aria-label', 'Remove period');
+    remove.textContent = '×';
+    remove.addEventListener('click', () => row.remove());
+    row.append(start, end, remove);
+    extraPeriods.appendChild(row);
+}
 
-    // Add award type codes filter (REQUIRED FIELD)
-    if (awardType === "all_contracts") {
-        filters.award_type_codes = ["A", "B", "C", "D"];
-    } else if (awardType === "all_idvs") {
-        filters.award_type_codes = ["IDV_A", "IDV_B", "IDV_B_A", "IDV_B_B", "IDV_B_C", "IDV_C", "IDV_D", "IDV_E"];
-    } else if (awardType === "all_grants") {
-        filters.award_type_codes = ["02", "03", "04", "05"];
-    } else if (["A", "B", "C", "D", "02", "03", "04", "05", "IDV_A", "IDV_B", "IDV_B_A", "IDV_B_B", "IDV_B_C", "IDV_C", "IDV_D", "IDV_E"].includes(awardType)) {
-        filters.award_type_codes = [awardType];
-    } else {
-        filters.award_type_codes = ["A", "B", "C", "D"]; // Default
-        console.warn("No awardType selected; defaulting to ['A', 'B', 'C', 'D']");
-    }
+// Render Filter Controls
+// Builds the option lists that come from the filter model and the state list.
+function renderFilterControls() {
+    const addOptions = (id, options) => {
+        const select = document.getElementById(id);
+        Object.entries(options).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${label} (${value})`;
+            select.appendChild(option);
+        });
+    };
+    addOptions('setAsideTypes', SET_ASIDE_TYPES);
+    addOptions('pricingTypes', PRICING_TYPES);
+    addOptions('popState', US_STATES);
+    addOptions('recipientState', US_STATES);
+
+    AMOUNT_RANGE_PRESETS.forEach((range, index) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = String(index);
+        label.append(checkbox, ` ${formatAmountRange(range)}`);
+        amountRangeOptions.appendChild(label);
+    });
+}
 
-    // Add time period filter
-    if (startDate && endDate) {
-        filters.time_period = [
-            { start_date: startDate, end_date: endDate, ...(dateType && { date_type: dateType }) },
-        ];
-    }
+// Render Active Filters
+// Shows the filters of the current search as chips; removing one re-runs the search without it.
+function renderActiveFilters(state) {
+    activeFilters.innerHTML = '';
+    const chips = describeSearchState(state);
+    activeFilters.style.display = chips.length > 0 ? 'flex' : 'none';
+
+    chips.forEach(({ key, label }) => {
+        const chip = document.createElement('span');
+        chip.className = 'chip';
+        chip.textContent = label;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'chip-remove';
+        remove.setAttribute('aria-label', `Remove filter ${label}`);
+        remove.textContent = '×';
+        remove.addEventListener('click', async () => {
+            writeSearchState(removeFromSearchState(readSearchState(), key));
+            currentPage = 1;
+            pushSearchState();
+            await fetchResults();
+        });
+        chip.appendChild(remove);
+        activeFilters.appendChild(chip);
+    });
+}
 
-    // Add agency filters - OLD
-    if (agencyType && subAgencyType && agencyDetails) {
-        filters.agencies = [
-            {
-                type: agencyDetails,//awarding or fudning
-                tier: "subtier",//toptier or subtier level
-                name: subAgencyType,// sub agency name
-                //toptier_name: agencyType, //toptier agency name
-            },
-        ];
-    } else if  (agencyType && subAgencyType) {
-        filters.agencies = [
-            {
-                type: "awarding",//awarding or fudning
-                tier: "subtier",//toptier or subtier level
-                name: subAgencyType,// sub agency name
-                //toptier_name: agencyType, //toptier agency name
-            },
-        ];
-    }  else if  (agencyType && agencyDetails) {
-        filters.agencies = [
-            {
-                type: agencyDetails,//awarding or fudning
-                tier: "toptier",//toptier or subtier level
-                name: agencyType,// sub agency name
-                toptier_name: agencyType, //toptier agency name
-            },
-        ];
-    }	else if  (agencyType) {
-        filters.agencies = [
-            {
-                type: "awarding",//awarding or fudning
-                tier: "toptier",//toptier or subtier level
-                name: agencyType,// sub agency name
-                toptier_name: agencyType, //toptier agency name
-            },
-        ];
-    }	else if  (subAgencyType && agencyDetails) {
-        filters.agencies = [
-            {
-                type: agencyDetails,//awarding or fudning
-                tier: "subtier",//toptier or subtier level
-                name: subAgencyType,// sub agency name
-                //toptier_name: agencyType, //toptier agency name
-            },
-        ];
-    }	else if  (subAgencyType) {
-        filters.agencies = [
-            {
-                type: "awarding",//awarding or fudning
-                tier: "subtier",//toptier or subtier level
-                name: subAgencyType,// sub agency name
-                //toptier_name: agencyType, //toptier agency name
-            },
-        ];
+// Push Search State
+// Adds a browser history entry for the current form state and page so the search can be bookmarked or shared.
+function pushSearchState() {
+    const query = getFormState().toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}`;
+    if (url !== `${window.location.pathname}${window.location.search}`) {
+        history.pushState(null, '', url);
     }
+}
 
-    // Add place of performance scope
-    if (placeOfPerformanceScope) filters.place_of_performance_scope = placeOfPerformanceScope;
-
-    // Add recipient scope
-    if (recipientScope) filters.recipient_scope = recipientScope;
+// Restore Search From URL
+// Applies the query string to the form and runs the search when the restored form is valid.
+async function restoreSearchFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    applyFormState(params);
 
-    // Process recipient search text
-    const recipientSearchTextArray = recipientSearchText
-        .split(',')
-        .map(item => item.trim())
-        .filter(item => item.length > 0);
-    if (recipientSearchTextArray.length > 0) {
-        filters.recipient_search_text = recipientSearchTextArray;
+    if (!params.has('keyword')) {
+        resultsContainer.style.display = 'none';
+        return;
+    }
+    if (document.getElementById('searchForm').checkValidity()) {
+        await fetchResults();
     }
+}
+
+// Get Search Mode
+// Returns the selected mode's endpoints, fields and columns.
+function getSearchMode() {
+    return SEARCH_MODES[searchModeSelect.value] || SEARCH_MODES.awards;
+}
 
-    console.log("Filters Built:", filters); // Log filters for debugging
+// Set Search Mode
+// Selects a mode (prime awards when unknown) and switches the table to that mode's saved columns, sort and page size.
+function setSearchMode(mode) {
+    searchModeSelect.value = SEARCH_MODES[mode] ? mode : 'awards';
+    tablePreferences = loadTablePreferences();
+    lastResultsData = null;
+    renderTableControls();
+}
+
+// Build Filters
+// Constructs the filters object from the search form using the shared filter model.
+function buildFilters() {
+    const filters = buildSpendingFilters(readSearchState());
+    logger.debug("Filters Built:", filters);
     return filters;
 }
 
 // Fetch Total Count from API
-// Fetches the total record count for the given filters.
-async function fetchTotalCount(filters) {
-    try {
-        const requestBody = { filters }; // Request body for the count endpoint
-        console.log("Fetching Total Count with Request Body:", requestBody);
-        // API call to the count endpoint
-        const response = await fetch('/api/count', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody),
-        });
+// Fetches the total record count for the given filters from a count endpoint (prime awards by default).
+// Errors are thrown for fetchResults() to show to the user.
+async function fetchTotalCount(filters, countUrl = '/api/count') {
+    const requestBody = { filters }; // Request body for the count endpoint
+    logger.debug("Fetching Total Count with Request Body:", countUrl, requestBody);
+    // API call to the count endpoint
+    const response = await fetch(countUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(requestBody),
+    });
 
-        if (!response.ok) {
-        const errorData = await response.json();
-        console.log("Award Count API Status Code:", response.status);
-        console.log("Award Count API Status Text:", response.statusText);
-        console.log("Award Count API Response:", response);        
-        //console.log("Award Count API Status Code:", response.status);
-        //console.log("Award Count API Status Text:", response.statusText);
-        console.log("Award Count API Error Message:", errorData.detail);
-        console.error("Award Count API Error Message:", errorData.detail);
-        console.error("Award Count API Total Count API Error:", errorData);
-        throw new Error("Award Count API Failed to fetch total record count");
-        }
+    if (!response.ok) {
+        const error = await readApiError(response, 'Failed to fetch the total record count.');
+        logger.error("Award Count API Error:", response.status, error.code, error.message, error.fields, `request ${error.requestId}`);
+        throw error;
+    }
 
-        const data = await response.json();
-        console.log("Award Count API Response:", response);        
-        console.log("Award Count API Status Code:", response.status);
-        console.log("Award Count API Status Text:", response.statusText);
-        console.log("Award Count API Total Count API Response:", data);
+    const data = await response.json();
+    logger.debug("Award Count API Response:", response.status, data);
 
-        // Sum up the total count from all award types
-        return Object.values(data.results).reduce((sum, count) => sum + count, 0);
-    } catch (error) {
-        console.error("Error Fetching Award Count API Total Count:", error);
-        return 0; // Return 0 if there's an error
-    }
+    // Sum up the total count from all award (or subaward) types
+    return Object.values(data.results).reduce((sum, count) => sum + count, 0);
 }
 
 // Fetch Results from API
 // Fetches search results from the API based on filters and pagination settings.
 async function fetchResults() {
-        loader.style.display = 'block'; // Show loader
-        resultsContainer.style.display = 'none'; // Hide results while fetching
+    loader.style.display = 'block'; // Show loader
+    resultsContainer.style.display = 'none'; // Hide results while fetching
     const filters = buildFilters(); // Build filters from form inputs
-    if (!filters) return;
+    renderActiveFilters(readSearchState()); // Show the filters being searched as removable chips
+    const mode = getSearchMode(); // Prime awards, subawards or transactions
 
     const requestBody = {
         filters,
-        fields: ['Awarding Agency','Awarding Agency Code','Awarding Sub Agency', 'Awarding Sub Agency Code', 'Funding Agency', 'Funding Agency Code','Funding Sub Agency', 'Funding Sub Agency Code', 'Award ID', 'Award Amount', 'Infrastructure Outlays', 'Infrastructure Obligations', 'Description', 'Award Type','Primary Place of Performance', 'Last Modified Date', 'Base Obligation Date', 'Recipient Name', 'Recipient UEI','recipient_id','prime_award_recipient_id'], // Fields to fetch
+        fields: mode.fields, // Fields to fetch
         //fields: ['Award ID', 'Recipient Name', 'Award Amount', 'Description', 'Award Type', 'Funding Agency'], // Fields to fetch
-        limit: 10, // Number of results per page
+        limit: tablePreferences.pageSize, // Number of results per page
         page: currentPage, // Current page number
+        ...(tablePreferences.sort && { sort: tablePreferences.sort, order: tablePreferences.order }), // Server-side sort
     };
 
     try {
-        // Fetch total record count
-        const totalCount = await fetchTotalCount(filters);
+        // Fetch total record count (only when the filters or mode have changed since the last search)
+        const countKey = JSON.stringify({ countUrl: mode.countUrl, filters });
+        if (countKey !== lastCountKey) {
+            lastTotalCount = await fetchTotalCount(filters, mode.countUrl);
+            lastCountKey = countKey;
+        }
+        const totalCount = lastTotalCount;
         if (totalRecordCountElement) {
             totalRecordCountElement.textContent = `Total Records: ${totalCount}`;
         }
 
         // Fetch paginated results
-        const response = await fetch('/api/search', {
+        const response = await fetch(mode.searchUrl, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(requestBody),
         });
 
         if (!response.ok) {
-            const errorData = await response.json();
-           // errorMessage.textContent = errorData.detail || 'An error occurred with the Spending By Award API.';
-            console.log("Spending by Award API Status Code:", response.status);
-            console.log("Spending by Award API Status Text:", response.statusText);
-            console.log("Spending by Award API Response:", response);        
-            console.log("Spending by Award API Error Message:", errorData.detail);
-            console.error("Spending by Award Error Message:", errorData.detail);
-            console.error("Spending by Award API Total Count API Error:", errorData);
-            throw new Error(errorMessage.textContent);
+            const error = await readApiError(response, 'An error occurred with the USA Spending search API.');
+            logger.error("Spending by Award API Error:", response.status, error.code, error.message, error.fields, `request ${error.requestId}`);
+            throw error;
         }
 
         const data = await response.json();
-        console.log("Spending by Award API Fetched Response:", response);
-        console.log("Spending by Award API Status Code:", response.status);
-        console.log("Spending by Award API Text:", response.statusText);
-        console.log("Spending by Award API Fetched Results:", data);
+        logger.debug("Spending by Award API Response:", response.status, data);
 
         renderResults(data); // Render results in the table
         resultsContainer.style.display = 'block'; // Show results
     } catch (error) {
-        console.error("Error Fetching the Spending by Award API:", error);
-        errorMessage.textContent = error.message;
+        // API errors were logged above; this catches network failures and bad responses
+        if (!error.status) logger.error("Error Fetching the Spending by Award API:", error);
+        showError(error);
     } finally {
         loader.style.display = 'none'; // Hide loader
     }
 }
 
+// Read API Error
+// Turns a failed API response into an Error carrying the server's structured error
+// ({ code, detail, requestId, fields, retryAfter }; see lib/errors.js).
+async function readApiError(response, fallbackMessage) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.detail || fallbackMessage);
+    error.status = response.status;
+    error.code = errorData.code || 'UNKNOWN_ERROR';
+    error.fields = Array.isArray(errorData.fields) ? errorData.fields : [];
+    error.retryAfter = errorData.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || null;
+    error.requestId = response.headers.get('X-Request-Id') || errorData.requestId || null;
+    return error;
+}
+
+// Form labels for the filter names used in validation errors
+const ERROR_FIELD_LABELS = {
+    keywords: 'Keyword',
+    award_type_codes: 'Award Type',
+    time_period: 'Time Period',
+    agencies: 'Agency',
+    naics_codes: 'NAICS Codes',
+    psc_codes: 'PSC Codes',
+    set_aside_type_codes: 'Type of Set-Aside',
+    contract_pricing_type_codes: 'Contract Pricing Type',
+    place_of_performance_scope: 'Place of Performance Scope',
+    place_of_performance_locations: 'Place of Performance Location',
+    recipient_scope: 'Recipient Scope',
+    recipient_locations: 'Recipient Location',
+    recipient_search_text: 'Recipient Search Text',
+    award_amounts: 'Award Amount',
+};
+
+// Describe a validation error's field (e.g. "filters.time_period[1].end_date") using the form's labels
+function describeErrorField(field) {
+    const match = /^filters\.(\w+)(?:\[(\d+)\])?(?:\.(\w+))?/.exec(field);
+    if (!match || !ERROR_FIELD_LABELS[match[1]]) return field;
+    const index = match[2] !== undefined ? ` ${Number(match[2]) + 1}` : '';
+    const detail = match[3] ? ` ${match[3].replace(/_/g, ' ')}` : '';
+    return `${ERROR_FIELD_LABELS[match[1]]}${index}${detail}`;
+}
+
+// Show Error
+// Displays an error's message, its field-level validation details, when to retry if rate limited and the
+// request's reference ID for support (matches the requestId in the server logs).
+function showError(error) {
+    errorMessage.innerHTML = '';
+    const message = document.createElement('p');
+    message.textContent = error.code === 'RATE_LIMITED' && error.retryAfter
+        ? `Too many requests. Please wait ${error.retryAfter} seconds and try again.`
+        : error.message;
+    errorMessage.appendChild(message);
+
+    if (error.fields && error.fields.length > 0) {
+        const list = document.createElement('ul');
+        error.fields.forEach(({ field, message: fieldMessage }) => {
+            const item = document.createElement('li');
+            item.textContent = `${describeErrorField(field)}: ${fieldMessage}`;
+            list.appendChild(item);
+        });
+        errorMessage.appendChild(list);
+    }
+
+    if (error.requestId) {
+        const reference = document.createElement('p');
+        reference.className = 'error-reference';
+        reference.textContent = `Reference ID: ${error.requestId}`;
+        errorMessage.appendChild(reference);
+    }
+}
+
 // Render Results
 // Populates the table with API results or displays a message if no results are found.
 function renderResults(data) {
+    lastResultsData = data;
+    const columns = getVisibleColumns();
+    renderTableHeader(columns);
     resultsTable.innerHTML = ''; // Clear previous results
     errorMessage.textContent = ''; // Clear previous error messages
 
     if (data.results.length === 0) {
         const row = resultsTable.insertRow();
         const cell = row.insertCell();
-        cell.colSpan = 5; // Span across all columns
+        cell.colSpan = columns.length; // Span across all columns
         cell.textContent = 'No results found. Please try a different search.';
         //resultsContainer.style.display = 'block';
         recordInfo.textContent = '';
@@ -284,93 +645,150 @@ function renderResults(data) {
         return;
     }
 
-    // Get agencyType from the DOM
-    const agencyTypeElement = document.getElementById('agencyType');
-    const agencyType = agencyTypeElement ? agencyTypeElement.value.trim() : "";
-
-	const subAgencyTypeElement = document.getElementById('subAgencyType'); // Get the HTML element
-	const subAgencyType = subAgencyTypeElement ? subAgencyTypeElement.value.trim() : ""; // Extract and trim the value
-    
-	const agencyDetails = document.getElementById('agencyDetails').value.trim(); // Get agency details
-
-
-
-/*
-
-// Populate the table with results
-data.results.forEach((award) => {
-    const row = resultsTable.insertRow();
-
-    // Initialize the recipient URL with the base Recipient Name
-    let recipientURL = `https://www.usaspending.gov/keyword_search/%22${encodeURIComponent(award['Recipient Name'])}%22`;
-
-    // Append agency-related parameters if present
-    const additionalFilters = [agencyType, subAgencyType]
-        .filter(Boolean) // Filter out any null or undefined values
-        .map(encodeURIComponent) // Encode each value
-        .map(filter => `%20AND%20%22${filter}%22`) // Format each filter
-        .join(""); // Combine filters into a single string
-
-    // Append the filters to the base URL
-    recipientURL += additionalFilters;
-
-    // Add the row and populate the cells
-    row.appendChild(createLinkCell(recipientURL, award['Recipient Name']));
-    row.appendChild(createLinkCell(`https://www.usaspending.gov/award/${award['generated_internal_id']}`, award['Award ID']));
-    row.insertCell().textContent = award['Award Type'] || 'N/A';
-    row.insertCell().textContent = award['Description'] || 'N/A';
-    row.insertCell().textContent = award['Award Amount'] ? `$${award['Award Amount'].toLocaleString()}` : 'N/A';
-});
-*/
-
+    // Populate the table with results
+    data.results.forEach((award) => {
+        const row = resultsTable.insertRow();
+        columns.forEach((column) => {
+            if (column.cell) {
+                row.appendChild(column.cell(award));
+            } else {
+                row.insertCell().textContent = formatColumnValue(award[column.field], column.format);
+            }
+        });
+    });
 
+    handlePagination(data); // Update pagination controls and record info
+}
 
+// Format Column Value
+// Formats a result value for display; missing values show as N/A.
+function formatColumnValue(value, format) {
+    if (value === null || value === undefined || value === '') return 'N/A';
+    if (format === 'currency') return `$${Number(value).toLocaleString()}`;
+    if (format === 'location' && typeof value === 'object') {
+        const parts = [value.city_name, value.state_code, value.country_name || value.location_country_code].filter(Boolean);
+        return parts.length > 0 ? parts.join(', ') : 'N/A';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
 
+// Get Visible Columns
+// Returns the chosen columns in display order.
+function getVisibleColumns() {
+    return getSearchMode().columns.filter(column => tablePreferences.columns.includes(column.field));
+}
 
+// Render Table Header
+// Rebuilds the header for the visible columns; sortable headers toggle the server-side sort.
+function renderTableHeader(columns) {
+    resultsTableHead.innerHTML = '';
+    const row = resultsTableHead.insertRow();
+    columns.forEach((column) => {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+        if (column.sortable) {
+            const sorted = tablePreferences.sort === column.field;
+            th.className = 'sortable';
+            th.tabIndex = 0;
+            th.setAttribute('aria-sort', sorted ? (tablePreferences.order === 'asc' ? 'ascending' : 'descending') : 'none');
+            if (sorted) th.textContent += tablePreferences.order === 'asc' ? ' ▲' : ' ▼';
+            th.addEventListener('click', () => sortByColumn(column.field));
+            th.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') sortByColumn(column.field);
+            });
+        }
+        row.appendChild(th);
+    });
+}
 
+// Sort By Column
+// Clicking the sorted column flips the order; clicking another column sorts it descending.
+async function sortByColumn(field) {
+    const order = tablePreferences.sort === field && tablePreferences.order === 'desc' ? 'asc' : 'desc';
+    saveTablePreferences({ sort: field, order });
+    currentPage = 1;
+    pushSearchState();
+    await fetchResults();
+}
 
+// Table preferences key for the current search mode
+function getTablePreferencesKey() {
+    return searchModeSelect.value === 'awards' ? TABLE_PREFERENCES_KEY : `${TABLE_PREFERENCES_KEY}.${searchModeSelect.value}`;
+}
 
+// Load Table Preferences
+// Reads the current search mode's saved columns, sort and page size from localStorage, falling back to the defaults.
+function loadTablePreferences() {
+    const mode = getSearchMode();
+    const defaults = { columns: mode.defaultColumns, sort: mode.defaultSort, order: 'desc', pageSize: PAGE_SIZE_OPTIONS[0] };
+    try {
+        const saved = JSON.parse(localStorage.getItem(getTablePreferencesKey())) || {};
+        const knownFields = mode.columns.map(column => column.field);
+        const columns = Array.isArray(saved.columns) ? saved.columns.filter(field => knownFields.includes(field)) : [];
+        return {
+            columns: columns.length > 0 ? columns : defaults.columns,
+            sort: knownFields.includes(saved.sort) ? saved.sort : defaults.sort,
+            order: saved.order === 'asc' ? 'asc' : 'desc',
+            pageSize: PAGE_SIZE_OPTIONS.includes(saved.pageSize) ? saved.pageSize : defaults.pageSize,
+        };
+    } catch (error) {
+        logger.warn("Ignoring unreadable table preferences:", error);
+        return defaults;
+    }
+}
 
+// Save Table Preferences
+function saveTablePreferences(changes) {
+    tablePreferences = { ...tablePreferences, ...changes };
+    try {
+        localStorage.setItem(getTablePreferencesKey(), JSON.stringify(tablePreferences));
+    } catch (error) {
+        logger.warn("Could not save table preferences:", error);
+    }
+}
 
-    // Populate the table with results
-    data.results.forEach((award) => {
-        const row = resultsTable.insertRow();
-		// Generate URL based on agencyType and subAgencyType
-		let recipientURL = `https://www.usaspending.gov/keyword_search/%22${encodeURIComponent(award['Recipient Name'])}%22`;
-
-		if (agencyType && subAgencyType && agencyDetails) {
-			// If both agencyType and subAgencyType are present
-			recipientURL += `%20AND%20%22${encodeURIComponent(agencyType)}%22%20AND%20%22${encodeURIComponent(subAgencyType)}%22`;
-		} else if (agencyType && subAgencyType) {
-			// If both agencyType and subAgencyType are present
-			recipientURL += `%20AND%20%22${encodeURIComponent(agencyType)}%22%20AND%20%22${encodeURIComponent(subAgencyType)}%22`;
-		} else if (agencyType) {
-			// If only agencyType is present
-			recipientURL += `%20AND%20%22${encodeURIComponent(agencyType)}%22`;
-		} else if (subAgencyType) {
-			// If only subAgencyType is present
-			recipientURL += `%20AND%20%22${encodeURIComponent(subAgencyType)}%22`;
-		}
-		else {
-			recipientURL = `https://www.usaspending.gov/keyword_search/%22${encodeURIComponent(award['Recipient Name'])}%22`;
-		}
-
-// Log or use the recipientURL
-//console.log("Generated Recipient URL:", recipientURL);
-
-
-        // Append cells to the row
-        row.appendChild(createLinkCell(recipientURL, award['Recipient Name']));
-        row.appendChild(createLinkCell(`https://www.usaspending.gov/award/${award['generated_internal_id']}`, award['Award ID']));
-        row.insertCell().textContent = award['Award Type'] || 'N/A';
-        row.insertCell().textContent = award['Description'] || 'N/A';
-        row.insertCell().textContent = award['Award Amount'] ? `$${award['Award Amount'].toLocaleString()}` : 'N/A';
+// Render Table Controls
+// Builds the column chooser checkboxes and page size options from the saved preferences.
+function renderTableControls() {
+    columnChooser.innerHTML = '';
+    getSearchMode().columns.forEach((column) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = column.field;
+        checkbox.checked = tablePreferences.columns.includes(column.field);
+        checkbox.addEventListener('change', () => {
+            const columns = [...columnChooser.querySelectorAll('input:checked')].map(input => input.value);
+            if (columns.length === 0) {
+                checkbox.checked = true; // Keep at least one column visible
+                return;
+            }
+            saveTablePreferences({ columns });
+            if (lastResultsData) renderResults(lastResultsData);
+        });
+        label.append(checkbox, ` ${column.label}`);
+        columnChooser.appendChild(label);
     });
 
-    handlePagination(data); // Update pagination controls and record info
+    pageSizeSelect.innerHTML = '';
+    PAGE_SIZE_OPTIONS.forEach((size) => {
+        const option = document.createElement('option');
+        option.value = String(size);
+        option.textContent = `${size} per page`;
+        pageSizeSelect.appendChild(option);
+    });
+    pageSizeSelect.value = String(tablePreferences.pageSize);
 }
 
-
+// Jump To Page
+// Moves directly to a page, clamped to the pages available for the total count.
+async function jumpToPage(page) {
+    const totalPages = countPages(tablePreferences.pageSize);
+    if (!Number.isInteger(page)) return;
+    currentPage = Math.min(Math.max(page, 1), totalPages);
+    pushSearchState();
+    await fetchResults();
+}
 
 // Create Link Cell Helper
 // Creates a table cell containing a hyperlink or fallback text.
@@ -389,24 +807,194 @@ function createLinkCell(href, text, fallback = 'N/A') {
     return cell;
 }
 
+// Create In-App Link Helper
+// Link whose plain click opens an in-app panel. It still points at usaspending.gov,
+// so modifier-clicks and "open in new tab" keep working as the secondary option.
+function createInAppLink(href, text, open) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.addEventListener('click', (event) => {
+        if (event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) return;
+        event.preventDefault();
+        open();
+    });
+    return link;
+}
+
+// Create In-App Link Cell Helper
+function createInAppLinkCell(href, text, open) {
+    if (!text) return createLinkCell(null, null);
+    const cell = document.createElement('td');
+    cell.appendChild(createInAppLink(href, text, open));
+    return cell;
+}
+
+// Create Award Cell Helper
+// Award ID cell that opens the in-app award detail panel.
+function createAwardCell(award) {
+    const generatedId = award['generated_internal_id'];
+    if (!generatedId) return createLinkCell(null, null, award['Award ID'] || 'N/A');
+    return createInAppLinkCell(`https://www.usaspending.gov/award/${generatedId}`, award['Award ID'], () => openAwardDetail(generatedId, award['Award ID']));
+}
+
+// Create Recipient Cell Helper
+// Recipient name or UEI cell that opens the in-app recipient profile, by recipient_id when the result has one
+// and by UEI lookup otherwise.
+function createRecipientCell(award, text) {
+    const recipientId = award['recipient_id'];
+    const uei = award['Recipient UEI'];
+    if (recipientId) {
+        return createInAppLinkCell(`https://www.usaspending.gov/recipient/${recipientId}/latest`, text, () => openRecipientProfile(recipientId, award['Recipient Name']));
+    }
+    if (uei) {
+        return createInAppLinkCell(`https://www.usaspending.gov/keyword_search/${encodeURIComponent(uei)}`, text, () => openRecipientByUei(uei, award['Recipient Name']));
+    }
+    return createLinkCell(null, null, text || 'N/A');
+}
+
+// Create Sub-Recipient Cell Helper
+// Subaward rows carry the sub-recipient's UEI but no recipient ID, so the profile is found by UEI lookup.
+function createSubRecipientCell(subaward, text) {
+    return createRecipientCell({ 'Recipient UEI': subaward['Sub-Recipient UEI'], 'Recipient Name': subaward['Sub-Awardee Name'] }, text);
+}
+
+// Create Prime Recipient Cell Helper
+function createPrimeRecipientCell(subaward, text) {
+    return createRecipientCell({
+        recipient_id: subaward['prime_award_recipient_id'],
+        'Recipient UEI': subaward['Prime Award Recipient UEI'],
+        'Recipient Name': subaward['Prime Recipient Name'],
+    }, text);
+}
+
+// Pages available for the last total count, capped at the highest page the server accepts
+function countPages(limit) {
+    return Math.min(Math.max(1, Math.ceil(lastTotalCount / limit)), MAX_PAGE);
+}
+
 // Handle Pagination and Display Record Info
 function handlePagination(data) {
     const { hasNext = false, page = 1 } = data.page_metadata || {}; // Extract pagination metadata from the response
-    const limit = 10; // Number of records per page
+    const limit = tablePreferences.pageSize; // Number of records per page
     const startRecord = (page - 1) * limit + 1; // Calculate the starting record number
     const endRecord = hasNext ? startRecord + limit - 1 : startRecord + data.results.length - 1; // Calculate the ending record number
+    const totalPages = countPages(limit);
 
     // Update record info element with current page and record range
-    recordInfo.textContent = `Showing records ${startRecord} to ${endRecord} on page ${page}`; 
+    recordInfo.textContent = `Showing records ${startRecord} to ${endRecord} on page ${page} of ${totalPages}`;
 
     prevButton.disabled = page === 1; // Disable the Previous button if on the first page
-    nextButton.disabled = !hasNext; // Disable the Next button if there is no next page
+    const canGoNext = hasNext && page < MAX_PAGE; // The server rejects pages past MAX_PAGE
+    nextButton.disabled = !canGoNext; // Disable the Next button if there is no next page
 
     prevButton.style.display = page === 1 ? 'none' : 'block'; // Hide Previous button on page 1
-    nextButton.style.display = hasNext ? 'block' : 'none'; // Hide Next button if hasNext is false
+    nextButton.style.display = canGoNext ? 'block' : 'none'; // Hide Next button if there is no next page
+
+    jumpPageInput.max = String(totalPages);
+    jumpPageInput.value = String(page);
+}
+
+// Count Export Lines
+// Counts the record lines in a chunk of a CSV or NDJSON download. CSV cells may hold quoted line breaks, so
+// whether the previous chunk ended inside quotes is carried in `state`. Quote and newline bytes never occur
+// inside a multi-byte UTF-8 character, so the raw bytes can be scanned.
+function countExportLines(bytes, state) {
+    let lines = 0;
+    bytes.forEach((byte) => {
+        if (byte === 34 && state.csv) state.inQuotes = !state.inQuotes; // A doubled "" toggles back
+        else if (byte === 10 && !state.inQuotes) lines += 1;
+    });
+    return lines;
 }
 
+// Export Results
+// Streams the complete result set for the current filters and search mode from /api/export and saves it as a file.
+async function exportResults(format) {
+    const filters = buildFilters();
+    const mode = searchModeSelect.value;
+
+    exportButton.disabled = true;
+    exportProgress.textContent = 'Preparing export...';
+    errorMessage.textContent = '';
+
+    try {
+        const response = await fetch('/api/export', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filters, fields: getSearchMode().fields, format, mode }),
+        });
+
+        if (!response.ok) {
+            const error = await readApiError(response, 'Export failed.');
+            logger.error("Export API Error:", response.status, error.code, error.message, error.fields, `request ${error.requestId}`);
+            throw error;
+        }
+
+        const totalRows = parseInt(response.headers.get('X-Total-Count'), 10) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        const lineState = { csv: format === 'csv', inQuotes: false };
+        let bytesReceived = 0;
+        let linesReceived = 0;
+        let rowsReceived = 0;
+
+        // Read the stream chunk by chunk so progress can be shown while the server walks every page
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            bytesReceived += value.length;
+
+            if (format === 'xlsx') {
+                // XLSX is a zipped binary, so only the size can be shown
+                exportProgress.textContent = `Downloading... ${(bytesReceived / 1024).toFixed(0)} KB of ${totalRows.toLocaleString()} records`;
+            } else {
+                // CSV and NDJSON end each record with a line break; CSV also starts with a header line
+                linesReceived += countExportLines(value, lineState);
+                rowsReceived = Math.max(0, format === 'csv' ? linesReceived - 1 : linesReceived);
+                const percent = totalRows ? Math.min(100, Math.round((rowsReceived / totalRows) * 100)) : 0;
+                exportProgress.textContent = `Downloading... ${rowsReceived.toLocaleString()} of ${totalRows.toLocaleString()} records (${percent}%)`;
+            }
+        }
+
+        // Hand the assembled file to the browser as a download
+        const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="([^"]+)"/);
+        const blob = new Blob(chunks, { type: response.headers.get('Content-Type') || 'application/octet-stream' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName ? fileName[1] : `${mode}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+
+        // The server stops early if the upstream runs out of pages, so report what actually arrived
+        if (format === 'xlsx') {
+            exportProgress.textContent = `Export complete: ${(bytesReceived / 1024).toFixed(0)} KB for ${totalRows.toLocaleString()} expected records (XLSX rows are not counted).`;
+        } else if (rowsReceived < totalRows) {
+            logger.warn("Export ended early:", rowsReceived, "of", totalRows, "records received");
+            exportProgress.textContent = `Export incomplete: received ${rowsReceived.toLocaleString()} of ${totalRows.toLocaleString()} records.`;
+        } else {
+            exportProgress.textContent = `Export complete: ${rowsReceived.toLocaleString()} records.`;
+        }
+    } catch (error) {
+        logger.error("Error Exporting Results:", error);
+        exportProgress.textContent = '';
+        showError(error);
+    } finally {
+        exportButton.disabled = false;
+    }
+}
+
+// Build the filter and table controls, then restore and run a search shared via URL when the page loads
+renderFilterControls();
+renderTableControls();
+restoreSearchFromUrl();
+
 // For testing purposes
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { buildFilters, getDefaultDates, createLinkCell, handlePagination, renderResults, fetchTotalCount, fetchResults };
+    module.exports = { buildFilters, readSearchState, writeSearchState, readApiError, showError, createLinkCell, handlePagination, renderResults, createAwardCell, createRecipientCell, formatColumnValue, getSearchMode, setSearchMode, loadTablePreferences, fetchTotalCount, fetchResults, exportResults, countExportLines, getFormState, applyFormState };
 }
@@ -0,0 +1,168 @@
+// Type-ahead Multi-Select
+// Reusable input that suggests matches as the user types and keeps the selections as removable chips.
+//
+// createTypeahead({ container, inputId, placeholder, minLength, fetchSuggestions, onChange })
+//   fetchSuggestions(text) resolves to [{ key, label, detail?, ... }]; items are passed back as selected.
+//   onChange(selectedItems) runs whenever the selection changes.
+// Returns { getSelected(), setSelected(items), clear(), input }.
+function createTypeahead({ container, inputId, placeholder = '', minLength = 2, fetchSuggestions, onChange = () => {} }) {
+    let selected = [];
+    let suggestions = [];
+    let activeIndex = -1;
+    let debounceTimer = null;
+    let requestCounter = 0;
+
+    container.classList.add('typeahead');
+
+    const chips = document.createElement('div');
+    chips.className = 'typeahead-chips';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = inputId;
+    input.placeholder = placeholder;
+    input.autocomplete = 'off';
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+
+    const list = document.createElement('ul');
+    list.className = 'typeahead-list';
+    list.id = `${inputId}-list`;
+    list.setAttribute('role', 'listbox');
+    input.setAttribute('aria-controls', list.id);
+
+    container.append(chips, input, list);
+
+    // Render the selected items as chips with remove buttons
+    function renderChips() {
+        chips.innerHTML = '';
+        selected.forEach((item) => {
+            const chip = document.createElement('span');
+            chip.className = 'chip';
+            chip.textContent = item.label;
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'chip-remove';
+            remove.setAttribute('aria-label', `Remove ${item.label}`);
+            remove.textContent = '×';
+            remove.addEventListener('click', () => removeItem(item.key));
+            chip.appendChild(remove);
+            chips.appendChild(chip);
+        });
+    }
+
+    // Render the suggestion dropdown, skipping anything already selected
+    function renderSuggestions() {
+        list.innerHTML = '';
+        suggestions.forEach((item, index) => {
+            const option = document.createElement('li');
+            option.setAttribute('role', 'option');
+            option.className = index === activeIndex ? 'active' : '';
+            option.textContent = item.label;
+            if (item.detail) {
+                const detail = document.createElement('small');
+                detail.textContent = ` ${item.detail}`;
+                option.appendChild(detail);
+            }
+            // mousedown fires before the input loses focus
+            option.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                addItem(item);
+            });
+            list.appendChild(option);
+        });
+        const open = suggestions.length > 0;
+        list.style.display = open ? 'block' : 'none';
+        input.setAttribute('aria-expanded', String(open));
+    }
+
+    function hideSuggestions() {
+        suggestions = [];
+        activeIndex = -1;
+        renderSuggestions();
+    }
+
+    function addItem(item) {
+        if (!selected.some(existing => existing.key === item.key)) {
+            selected = [...selected, item];
+            renderChips();
+            onChange(selected);
+        }
+        input.value = '';
+        hideSuggestions();
+    }
+
+    function removeItem(key) {
+        selected = selected.filter(item => item.key !== key);
+        renderChips();
+        onChange(selected);
+    }
+
+    // Fetch suggestions for the current text; responses from superseded requests are ignored
+    async function updateSuggestions() {
+        const text = input.value.trim();
+        if (text.length < minLength) {
+            hideSuggestions();
+            return;
+        }
+        const requestId = ++requestCounter;
+        try {
+            const results = await fetchSuggestions(text);
+            if (requestId !== requestCounter) return;
+            suggestions = results.filter(item => !selected.some(existing => existing.key === item.key));
+            activeIndex = suggestions.length > 0 ? 0 : -1;
+            renderSuggestions();
+        } catch (error) {
+            logger.error("Error Fetching Suggestions:", error);
+            hideSuggestions();
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(updateSuggestions, 250);
+    });
+
+    input.addEventListener('focus', () => {
+        if (minLength === 0) updateSuggestions();
+    });
+
+    input.addEventListener('blur', hideSuggestions);
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' && suggestions.length > 0) {
+            event.preventDefault();
+            activeIndex = (activeIndex + 1) % suggestions.length;
+            renderSuggestions();
+        } else if (event.key === 'ArrowUp' && suggestions.length > 0) {
+            event.preventDefault();
+            activeIndex = (activeIndex - 1 + suggestions.length) % suggestions.length;
+            renderSuggestions();
+        } else if (event.key === 'Enter' && activeIndex >= 0) {
+            event.preventDefault(); // Select the suggestion instead of submitting the search form
+            addItem(suggestions[activeIndex]);
+        } else if (event.key === 'Escape') {
+            hideSuggestions();
+        } else if (event.key === 'Backspace' && !input.value && selected.length > 0) {
+            removeItem(selected[selected.length - 1].key);
+        }
+    });
+
+    return {
+        input,
+        getSelected: () => [...selected],
+        setSelected(items) {
+            selected = [...items];
+            renderChips();
+            onChange(selected);
+        },
+        clear() {
+            selected = [];
+            input.value = '';
+            renderChips();
+            hideSuggestions();
+            onChange(selected);
+        },
+    };
+}
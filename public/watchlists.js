@@ -0,0 +1,293 @@
+// Watchlists
+// Lets users upload a CSV of recipient names or UEIs as a named watchlist, run it with the current filters
+// and view a report of award counts and obligated amounts per recipient. Runs are processed by the server
+// one recipient at a time, so the report is polled until the run finishes. Each report row drills down to
+// the recipients and largest awards behind its totals.
+// Uses the table helpers from awardDetail.js, fetchAnalytics() from analytics.js and describeFilters() from compare.js.
+
+const watchlistName = document.getElementById('watchlistName'); // Name for the uploaded watchlist
+const watchlistFile = document.getElementById('watchlistFile'); // CSV file input
+const uploadWatchlistButton = document.getElementById('uploadWatchlistButton'); // Uploads the CSV
+const watchlistList = document.getElementById('watchlistList'); // List of watchlists
+const watchlistReport = document.getElementById('watchlistReport'); // Report for the selected watchlist
+
+const WATCHLIST_POLL_MS = 2000; // How often a queued or running report is refreshed
+const WATCHLIST_DRILLDOWN_LIMIT = 10; // Recipients and awards listed when drilling into a report row
+
+let watchlistPollTimer = null; // Pending refresh of the report being viewed
+let watchlistViewId = null; // ID of the watchlist whose report is shown
+
+uploadWatchlistButton.addEventListener('click', async () => {
+    await uploadWatchlist();
+});
+
+// Send a JSON request to a watchlist endpoint and surface the server's structured error on failure
+async function watchlistRequest(url, options = {}) {
+    const response = await fetch(url, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options,
+    });
+    if (!response.ok) throw await readApiError(response, 'Watchlist request failed.');
+    return response.status === 204 ? null : response.json();
+}
+
+function isRunActive(run) {
+    return Boolean(run) && ['queued', 'running'].includes(run.status);
+}
+
+// Upload Watchlist
+// Sends the selected CSV file to the server, which parses and validates it.
+async function uploadWatchlist() {
+    const name = watchlistName.value.trim();
+    const file = watchlistFile.files[0];
+    if (!name || !file) {
+        errorMessage.textContent = 'Enter a name and choose a CSV file to upload a watchlist.';
+        return;
+    }
+
+    try {
+        await watchlistRequest('/api/watchlists', {
+            method: 'POST',
+            body: JSON.stringify({ name, csv: await file.text() }),
+        });
+        watchlistName.value = '';
+        watchlistFile.value = '';
+        errorMessage.textContent = '';
+        await loadWatchlists();
+    } catch (error) {
+        logger.error("Error Uploading Watchlist:", error);
+        showError(error);
+    }
+}
+
+// Load Watchlists
+async function loadWatchlists() {
+    try {
+        const data = await watchlistRequest('/api/watchlists');
+        renderWatchlists(data.results);
+    } catch (error) {
+        logger.error("Error Loading Watchlists:", error);
+    }
+}
+
+// Describe a run's progress or outcome in one line
+function describeRun(run) {
+    if (!run) return 'Not run yet';
+    if (run.status === 'queued') return 'Queued behind another run';
+    if (run.status === 'running') return `Running: ${run.processed} of ${run.total} recipients`;
+    if (run.status === 'error') return `Run failed: ${run.error}`;
+    const failed = run.failed > 0 ? `, ${run.failed} failed` : '';
+    return `Last run ${new Date(run.finishedAt).toLocaleString()} (${run.total} recipients${failed})`;
+}
+
+// Render Watchlists
+function renderWatchlists(watchlists) {
+    watchlistList.innerHTML = '';
+
+    if (watchlists.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'saved-search-empty';
+        item.textContent = 'No watchlists yet.';
+        watchlistList.appendChild(item);
+        return;
+    }
+
+    watchlists.forEach((watchlist) => {
+        const item = document.createElement('li');
+        item.className = 'saved-search';
+
+        const title = document.createElement('span');
+        title.className = 'saved-search-name';
+        title.textContent = `${watchlist.name} (${watchlist.entryCount} recipients)`;
+        item.appendChild(title);
+
+        const status = document.createElement('small');
+        status.className = 'saved-search-status';
+        status.textContent = describeRun(watchlist.lastRun);
+        item.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-search-actions';
+        actions.appendChild(createSavedSearchButton('Run', () => runWatchlist(watchlist.id)));
+        if (watchlist.lastRun) {
+            actions.appendChild(createSavedSearchButton('Report', () => showWatchlistReport(watchlist.id)));
+            const download = document.createElement('a');
+            download.href = `/api/watchlists/${encodeURIComponent(watchlist.id)}/report.csv`;
+            download.className = 'watchlist-download';
+            download.textContent = 'CSV';
+            actions.appendChild(download);
+        }
+        actions.appendChild(createSavedSearchButton('Delete', () => deleteWatchlist(watchlist)));
+        item.appendChild(actions);
+
+        watchlistList.appendChild(item);
+    });
+}
+
+// Run Watchlist
+// Queues a run with the search form's filters and shows its report as it fills in.
+async function runWatchlist(id) {
+    const filters = buildFilters();
+
+    try {
+        await watchlistRequest(`/api/watchlists/${encodeURIComponent(id)}/runs`, {
+            method: 'POST',
+            body: JSON.stringify({ filters, query: searchStateToQuery(readSearchState()).toString() }),
+        });
+        await loadWatchlists();
+        await showWatchlistReport(id);
+    } catch (error) {
+        logger.error("Error Running Watchlist:", error);
+        showError(error);
+    }
+}
+
+// Show Watchlist Report
+// Displays the latest run's report, refreshing it until the run finishes.
+async function showWatchlistReport(id) {
+    clearTimeout(watchlistPollTimer);
+    watchlistViewId = id;
+
+    try {
+        const watchlist = await watchlistRequest(`/api/watchlists/${encodeURIComponent(id)}`);
+        if (watchlistViewId !== id) return;
+        renderWatchlistReport(watchlist);
+
+        if (isRunActive(watchlist.lastRun)) {
+            watchlistPollTimer = setTimeout(() => showWatchlistReport(id), WATCHLIST_POLL_MS);
+        } else {
+            await loadWatchlists(); // Update the run status in the list
+        }
+    } catch (error) {
+        logger.error("Error Loading Watchlist Report:", error);
+        showError(error);
+    }
+}
+
+// Render Watchlist Report
+function renderWatchlistReport(watchlist) {
+    const run = watchlist.lastRun;
+    watchlistReport.innerHTML = '';
+    watchlistReport.style.display = 'block';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `Watchlist: ${watchlist.name}`;
+    watchlistReport.appendChild(heading);
+
+    const status = document.createElement('p');
+    status.className = run && run.status === 'error' ? 'error' : 'watchlist-progress';
+    status.textContent = describeRun(run);
+    watchlistReport.appendChild(status);
+    if (!run) return;
+
+    watchlistReport.appendChild(createDefinitionList([
+        ['Filters', run.query !== null ? describeFilters(searchStateFromQuery(new URLSearchParams(run.query))) : null],
+        ['Time Period', run.filters.time_period ? describePeriods(run.filters) : null],
+        ['Award Count', formatWatchlistCount(run.results.reduce((sum, result) => sum + (result.awardCount || 0), 0))],
+        ['Obligated Amount', formatCurrency(run.results.reduce((sum, result) => sum + (result.obligatedAmount || 0), 0))],
+    ]));
+
+    if (!isRunActive(run)) {
+        const download = document.createElement('a');
+        download.href = `/api/watchlists/${encodeURIComponent(watchlist.id)}/report.csv`;
+        download.className = 'external-link';
+        download.textContent = 'Download report as CSV';
+        watchlistReport.appendChild(download);
+    }
+
+    const drilldown = document.createElement('div');
+    drilldown.className = 'watchlist-drilldown';
+    const rows = [...run.results].sort((a, b) => (b.obligatedAmount || 0) - (a.obligatedAmount || 0));
+    watchlistReport.appendChild(createDetailTable([
+        { label: 'Recipient', cell: result => createDrilldownCell(result.label, () => loadWatchlistDrilldown(run, result, drilldown)) },
+        { label: 'UEI', value: result => result.uei },
+        { label: 'Award Count', value: result => formatWatchlistCount(result.awardCount) },
+        { label: 'Obligated Amount', value: result => (result.obligatedAmount === null ? null : formatCurrency(result.obligatedAmount)) },
+        { label: 'Error', value: result => result.error },
+    ], rows, 'No recipients processed yet.'));
+    watchlistReport.appendChild(drilldown);
+}
+
+// Report cell whose recipient label opens the row's drill-down below the table
+function createDrilldownCell(text, open) {
+    const cell = document.createElement('td');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watchlist-drill';
+    button.textContent = text;
+    button.addEventListener('click', open);
+    cell.appendChild(button);
+    return cell;
+}
+
+function formatWatchlistCount(count) {
+    return count === null ? null : count.toLocaleString();
+}
+
+// Load Watchlist Drilldown
+// Shows the recipients matching one report row and their largest awards under the run's filters.
+async function loadWatchlistDrilldown(run, result, container) {
+    container.innerHTML = '';
+    const section = createDetailSection(result.label);
+    const status = document.createElement('p');
+    status.textContent = 'Loading...';
+    section.appendChild(status);
+    container.appendChild(section);
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' }); // The report table can be hundreds of rows long
+
+    const filters = { ...run.filters, recipient_search_text: [result.searchText] };
+    try {
+        const [recipients, awards] = await Promise.all([
+            fetchAnalytics('/api/analytics/by-category/recipient', { filters, limit: WATCHLIST_DRILLDOWN_LIMIT, page: 1 }),
+            fetchAnalytics('/api/search', {
+                filters,
+                fields: SEARCH_FIELDS,
+                limit: WATCHLIST_DRILLDOWN_LIMIT,
+                page: 1,
+                sort: 'Award Amount',
+                order: 'desc',
+            }),
+        ]);
+        status.textContent = `Recipients matching "${result.searchText}" under the filters this report was run with.`;
+
+        const recipientsHeading = document.createElement('h4');
+        recipientsHeading.textContent = 'Matching Recipients';
+        section.append(recipientsHeading, createDetailTable([
+            { label: 'Recipient', cell: row => createRecipientCell({ recipient_id: row.recipient_id, 'Recipient UEI': row.uei, 'Recipient Name': row.name }, row.name) },
+            { label: 'UEI', value: row => row.uei },
+            { label: 'Obligations', value: row => formatCurrency(row.amount) },
+        ], recipients.results, 'No matching recipients.'));
+
+        const awardsHeading = document.createElement('h4');
+        awardsHeading.textContent = `Largest ${WATCHLIST_DRILLDOWN_LIMIT} Awards`;
+        section.append(awardsHeading, createDetailTable([
+            { label: 'Award ID', cell: award => createAwardCell(award) },
+            { label: 'Recipient', cell: award => createRecipientCell(award, award['Recipient Name']) },
+            { label: 'Awarding Agency', value: award => award['Awarding Agency'] },
+            { label: 'Amount', value: award => formatCurrency(award['Award Amount']) },
+        ], awards.results, 'No awards found.'));
+    } catch (error) {
+        logger.error("Error Loading Watchlist Drilldown:", error);
+        status.className = 'error';
+        status.textContent = error.message;
+    }
+}
+
+// Delete Watchlist
+async function deleteWatchlist(watchlist) {
+    if (!confirm(`Delete watchlist "${watchlist.name}"?`)) return;
+    try {
+        await watchlistRequest(`/api/watchlists/${encodeURIComponent(watchlist.id)}`, { method: 'DELETE' });
+        if (watchlistViewId === watchlist.id) {
+            clearTimeout(watchlistPollTimer);
+            watchlistViewId = null;
+            watchlistReport.style.display = 'none';
+        }
+        await loadWatchlists();
+    } catch (error) {
+        logger.error("Error Deleting Watchlist:", error);
+        showError(error);
+    }
+}
+
+loadWatchlists();
@@ -1,45 +1,913 @@
+const crypto = require('crypto');
 const express = require('express');
 const axios = require('axios');
+const { DEFAULT_EXPORT_FIELDS, EXPORT_FORMATS, streamExport, pageToCsv } = require('./lib/export');
+const { createMemoryStore, createFileStore, createResponseCache } = require('./lib/cache');
+const { isLoopbackAddress, publicLookup, checkPublicUrl } = require('./lib/network');
+const { createSavedSearchService } = require('./lib/savedSearches');
+const { createWatchlistService, parseWatchlistCsv, watchlistReportCsv } = require('./lib/watchlists');
+const { ERROR_CODES, sendError, sendUpstreamError } = require('./lib/errors');
+const { createRateLimiter, rateLimit } = require('./lib/rateLimit');
+const { createUpstreamClient } = require('./lib/upstream');
+const { createFixtureTransport } = require('./lib/fixtures');
+const { createLogger, traceField } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+const {
+    validateBody, validateFilters, validateSearchBody, validateSubawardSearchBody, validateTransactionSearchBody,
+    validateCountBody, validateAutocompleteBody, validateCategoryBody, validateOverTimeBody, validateExportBody, validateAwardsQuery,
+    SUBAWARD_FIELDS, TRANSACTION_FIELDS, RECIPIENT_ID_PATTERN, UEI_PATTERN,
+} = require('./lib/validation');
+const { searchStateFromQuery, buildSpendingFilters } = require('./public/filterModel');
 
 const app = express();
 const port = process.env.PORT || 3000;
+const exportMaxRows = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 100000;
+const EXPORT_PAGE_SIZE = 100; // Largest page spending_by_award accepts
+const EXPORT_RATE_LIMIT_COST = 10; // An export walks many upstream pages, so it spends more rate limit tokens
+const AWARD_TRANSACTION_PAGES = 10; // The award timeline loads at most 1,000 transactions (10 pages of 100)
+const bodyLimit = process.env.BODY_LIMIT || '32kb';
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// Prometheus metrics served at /metrics
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests served, by route and status.', ['method', 'route', 'status']);
+const httpErrors = metrics.counter('http_request_errors_total', 'Error responses, by route and structured error code.', ['route', 'code']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Time to serve HTTP requests.', ['method', 'route']);
+const upstreamRequests = metrics.counter('upstream_requests_total', 'USA Spending API request attempts, by endpoint and status.', ['endpoint', 'status']);
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds', 'USA Spending API request latency per attempt.', ['endpoint']);
+
+// Behind Cloud Run or another proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address, not the proxy's
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Per-IP token bucket shared by every /api route
+const rateLimiter = createRateLimiter({
+    capacity: parseInt(process.env.RATE_LIMIT_CAPACITY, 10) || 60,
+    refillPerSecond: parseFloat(process.env.RATE_LIMIT_REFILL_PER_SECOND) || 1,
+});
+
+// Upstream mode: live (default), record (save every USA Spending response as a fixture) or
+// replay (serve saved fixtures without network access)
+const upstreamBaseUrl = process.env.USA_SPENDING_API_BASE_URL || 'https://api.usaspending.gov/api/v2';
+const upstreamMode = process.env.UPSTREAM_MODE || 'live';
+const fixtureTransport = upstreamMode === 'live' ? null : createFixtureTransport({
+    mode: upstreamMode,
+    dir: process.env.UPSTREAM_FIXTURES_DIR || 'fixtures/upstream',
+    baseUrl: upstreamBaseUrl,
+});
+
+// Client for the USA Spending API (timeouts, retries with backoff and a circuit breaker)
+const upstream = createUpstreamClient({
+    baseUrl: upstreamBaseUrl,
+    timeoutMs: parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 15000,
+    maxRetries: parseInt(process.env.UPSTREAM_MAX_RETRIES ?? '2', 10),
+    retryBaseMs: parseInt(process.env.UPSTREAM_RETRY_BASE_MS, 10) || 500,
+    retryMaxMs: parseInt(process.env.UPSTREAM_RETRY_MAX_MS, 10) || 8000,
+    breakerThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 5,
+    breakerResetMs: (parseInt(process.env.CIRCUIT_BREAKER_RESET_SECONDS, 10) || 30) * 1000,
+    onAttempt: ({ path, status, durationMs }) => {
+        const endpoint = upstreamEndpoint(path);
+        upstreamRequests.inc({ endpoint, status });
+        upstreamDuration.observe({ endpoint }, durationMs / 1000);
+    },
+    ...(fixtureTransport && { http: fixtureTransport }),
+});
+metrics.gauge('upstream_circuit_open', 'Whether the USA Spending circuit breaker is open (1) or not (0).', () => (upstream.status().circuit.state === 'open' ? 1 : 0));
+
+// Upstream metric label: award IDs, agency codes and recipient IDs in paths are replaced so label values stay bounded
+function upstreamEndpoint(path) {
+    return path
+        .replace(/^\/awards\/(?!funding\/|last_updated\/)[^/]+\//, '/awards/:id/')
+        .replace(/^\/agency\/\d+\//, '/agency/:code/')
+        .replace(/^\/recipient\/children\/[^/]+\//, '/recipient/children/:id/')
+        .replace(/^\/recipient\/(?!children\/)[^/]+\//, '/recipient/:id/');
+}
+
+// Response cache for /api/search and /api/count, keyed on the normalized request body
+const responseCache = createResponseCache({
+    ttlMs: (parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300) * 1000,
+    store: process.env.CACHE_STORE === 'file'
+        ? createFileStore({ dir: process.env.CACHE_DIR || '.cache/api' })
+        : createMemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500 }),
+});
+
+// Fetch one page of spending_by_award directly from upstream (used by saved search runs)
+function fetchAwardsPage(requestBody) {
+    return upstream.post('/search/spending_by_award/', requestBody);
+}
+
+// Saved searches, persisted to a JSON file and re-run on a schedule
+const savedSearchIntervalMinutes = parseInt(process.env.SAVED_SEARCH_INTERVAL_MINUTES ?? '60', 10);
+const savedSearches = createSavedSearchService({
+    file: process.env.SAVED_SEARCHES_FILE || 'data/saved-searches.json',
+    maxRows: parseInt(process.env.SAVED_SEARCH_MAX_ROWS, 10) || 5000,
+    fetchPage: fetchAwardsPage,
+    logger: logger.child({ component: 'saved-searches' }),
+    // Searches saved with their query string are rebuilt on each run so default date ranges stay current
+    resolveFilters: search => (search.query
+        ? buildSpendingFilters(searchStateFromQuery(new URLSearchParams(search.query)))
+        : search.filters),
+    // Webhooks are checked again before each call (searches saved earlier may point anywhere), and the lookup
+    // rejects private addresses at connect time, since a host can resolve differently than when it was checked
+    notify: async (search, newAwards, modifiedAwards) => {
+        const webhookError = await checkPublicUrl(search.webhookUrl);
+        if (webhookError) throw new Error(`Webhook URL ${webhookError}`);
+        return axios.post(search.webhookUrl, {
+            search: { id: search.id, name: search.name },
+            runAt: search.lastRunAt,
+            newAwardCount: newAwards.length,
+            modifiedAwardCount: modifiedAwards.length,
+            newAwards,
+        }, {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: 10000,
+            lookup: publicLookup,
+            maxRedirects: 0,
+        });
+    },
+});
+
+// Recipient watchlists. Each recipient in a run costs two upstream calls: the award count and the obligated
+// amount (summed over fiscal years from spending_over_time, which accepts the same filters as the search).
+const watchlists = createWatchlistService({
+    file: process.env.WATCHLISTS_FILE || 'data/watchlists.json',
+    delayMs: parseInt(process.env.WATCHLIST_REQUEST_DELAY_MS ?? '250', 10),
+    logger: logger.child({ component: 'watchlists' }),
+    fetchTotals: async (filters) => {
+        const count = await upstream.post('/search/spending_by_award_count/', { filters });
+        const overTime = await upstream.post('/search/spending_over_time/', { group: 'fiscal_year', filters });
+        return {
+            awardCount: Object.values(count.results || {}).reduce((sum, value) => sum + value, 0),
+            obligatedAmount: (overTime.results || []).reduce((sum, row) => sum + (Number(row.aggregated_amount) || 0), 0),
+        };
+    },
+});
+
+// Request IDs and request logging. The ID comes from a valid incoming X-Request-Id or is generated,
+// is returned in the X-Request-Id header and is attached to every log entry written for the request.
+app.use((req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && /^[\w.-]{1,100}$/.test(incomingId) ? incomingId : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id, ...traceField(req.get('X-Cloud-Trace-Context'), process.env.GOOGLE_CLOUD_PROJECT) });
+    res.setHeader('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('close', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        // Matched routes use their pattern; anything else is a static file or an unknown path
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.originalUrl.startsWith('/api') ? 'unmatched' : 'static');
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, seconds);
+        if (res.locals.errorCode) httpErrors.inc({ route, code: res.locals.errorCode });
+
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : route === 'static' ? 'debug' : 'info';
+        req.log[level](`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+            httpRequest: {
+                requestMethod: req.method,
+                requestUrl: req.originalUrl,
+                status: res.statusCode,
+                latency: `${seconds.toFixed(3)}s`,
+                remoteIp: req.ip,
+                userAgent: req.get('User-Agent'),
+            },
+            ...(res.locals.errorCode && { errorCode: res.locals.errorCode }),
+        });
+    });
+    next();
+});
 
 // Serve static files from the 'public' directory
 app.use(express.static('public'));
-app.use(express.json());
+
+// Health endpoints for Cloud Run probes.
+// /healthz is liveness: always 200 while the process runs, with the upstream circuit breaker state.
+// /readyz is readiness: 503 while the circuit is open or USA Spending does not answer a light probe request.
+// In replay mode there is no upstream to probe, so the server is always ready.
+const READINESS_PROBE_TTL_MS = 15000; // Probe results are reused briefly so frequent probes do not load the upstream
+let readinessProbe = null;
+
+function probeUpstream() {
+    if (readinessProbe && (readinessProbe.pending || Date.now() - readinessProbe.checkedAt < READINESS_PROBE_TTL_MS)) {
+        return readinessProbe.promise;
+    }
+    const startedAt = Date.now();
+    const probe = { pending: true, checkedAt: startedAt };
+    probe.promise = upstream.get('/awards/last_updated/', { retries: 0 })
+        .then(() => ({ reachable: true, latencyMs: Date.now() - startedAt, error: null }))
+        .catch(error => ({ reachable: false, latencyMs: Date.now() - startedAt, error: error.response ? `HTTP ${error.response.status}` : error.message }))
+        .then((result) => {
+            probe.pending = false;
+            probe.checkedAt = Date.now();
+            return { ...result, checkedAt: new Date(probe.checkedAt).toISOString() };
+        });
+    readinessProbe = probe;
+    return probe.promise;
+}
+
+app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()), upstream: { ...upstream.status(), mode: upstreamMode } });
+});
+
+app.get('/readyz', async (req, res) => {
+    if (upstreamMode === 'replay') {
+        return res.json({ status: 'ready', upstream: { ...upstream.status(), mode: upstreamMode, probe: null } });
+    }
+    const upstreamStatus = upstream.status();
+    const probe = upstreamStatus.circuit.state === 'open' ? null : await probeUpstream();
+    const ready = Boolean(probe && probe.reachable);
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'unavailable',
+        upstream: { ...upstream.status(), mode: upstreamMode, probe },
+    });
+});
+
+// Prometheus scrape endpoint. When METRICS_TOKEN is set, requests must send "Authorization: Bearer <token>".
+app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Metrics token required.');
+    }
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Every API request spends a rate limit token per client IP; bodies are capped at BODY_LIMIT,
+// except watchlist uploads, which carry a CSV of up to MAX_WATCHLIST_ENTRIES recipients
+app.use('/api', rateLimit(rateLimiter));
+app.use('/api/watchlists', express.json({ limit: '256kb' }));
+app.use(express.json({ limit: bodyLimit }));
+
+// Search modes: the USA Spending endpoints behind prime award, subaward and transaction searches.
+// `body` is merged into every upstream request for the mode; `route` names its search and count cache entries.
+// spending_by_transaction has no default sort, so its exports sort by `exportSort`.
+const SEARCH_MODES = {
+    awards: {
+        searchPath: '/search/spending_by_award/',
+        countPath: '/search/spending_by_award_count/',
+        body: {},
+        route: { search: 'search', count: 'count' },
+        defaultFields: DEFAULT_EXPORT_FIELDS,
+    },
+    subawards: {
+        searchPath: '/search/spending_by_award/',
+        countPath: '/search/spending_by_award_count/',
+        body: { subawards: true },
+        route: { search: 'subaward-search', count: 'subaward-count' },
+        defaultFields: SUBAWARD_FIELDS,
+        exportExtraColumns: [],
+    },
+    transactions: {
+        searchPath: '/search/spending_by_transaction/',
+        countPath: '/search/spending_by_transaction_count/',
+        body: {},
+        route: { search: 'transaction-search', count: 'transaction-count' },
+        defaultFields: TRANSACTION_FIELDS,
+        exportSort: 'Action Date',
+    },
+};
+
+// Proxy a request body to a USA Spending endpoint (a path under the API base URL) through the response cache.
+// Identical bodies are served from cache (X-Cache: HIT) or share one in-flight upstream call (X-Cache: COALESCED).
+// extraBody is merged into the forwarded body (e.g. subawards: true).
+async function proxyCached(req, res, route, upstreamPath, extraBody = {}) {
+    const body = { ...req.body, ...extraBody };
+    try {
+        const { value, status, age } = await responseCache.get(route, body, () => upstream.post(upstreamPath, body));
+        res.setHeader('X-Cache', status);
+        res.setHeader('Age', String(age));
+        res.json(value);
+    } catch (error) {
+        sendUpstreamError(res, error, route);
+    }
+}
 
 // Endpoint to proxy search requests
-app.post('/api/search', async (req, res) => {
+app.post('/api/search', validateBody(validateSearchBody), (req, res) => proxyCached(req, res, 'search', '/search/spending_by_award/'));
+
+// Endpoint to proxy count requests
+app.post('/api/count', validateBody(validateCountBody), (req, res) => proxyCached(req, res, 'count', '/search/spending_by_award_count/'));
+
+// Endpoints to proxy subaward searches and counts (spending_by_award with subawards: true)
+app.post('/api/subawards/search', validateBody(validateSubawardSearchBody), (req, res) => {
+    const { searchPath, route, body } = SEARCH_MODES.subawards;
+    return proxyCached(req, res, route.search, searchPath, body);
+});
+app.post('/api/subawards/count', validateBody(validateCountBody), (req, res) => {
+    const { countPath, route, body } = SEARCH_MODES.subawards;
+    return proxyCached(req, res, route.count, countPath, body);
+});
+
+// Endpoints to proxy transaction searches and counts (one row per award action, including modifications)
+app.post('/api/transactions/search', validateBody(validateTransactionSearchBody), (req, res) => {
+    const { searchPath, route } = SEARCH_MODES.transactions;
+    return proxyCached(req, res, route.search, searchPath);
+});
+app.post('/api/transactions/count', validateBody(validateCountBody), (req, res) => {
+    const { countPath, route } = SEARCH_MODES.transactions;
+    return proxyCached(req, res, route.count, countPath);
+});
+
+// Endpoint to fetch everything the award detail panel shows for one generated_internal_id:
+// the award summary plus its transactions, subawards and federal account funding.
+// Only the summary is required; the other sections report their own errors so the panel can still render.
+app.get('/api/award/:id', async (req, res) => {
+    const awardId = req.params.id;
+    if (!/^[\w.-]{1,200}$/.test(awardId)) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Invalid award ID.', {
+            fields: [{ field: 'id', message: 'must be a generated_internal_id.' }],
+        });
+    }
+    const encodedId = encodeURIComponent(awardId);
+    const listBody = (sort, order) => ({ award_id: awardId, page: 1, limit: 100, sort, order });
+    const cachedGet = (route, path) => responseCache.get(route, { awardId }, () => upstream.get(path));
+    const cachedPost = (route, path, body) => responseCache.get(route, body, () => upstream.post(path, body));
+
+    // The timeline's running total needs every transaction, so walk their pages (oldest first) up to the limit.
+    // Resolves like a cached call, with truncated set when the award has more transactions than were loaded.
+    const allTransactions = async () => {
+        const results = [];
+        for (let page = 1; page <= AWARD_TRANSACTION_PAGES; page += 1) {
+            const { value } = await cachedPost('award-transactions', '/transactions/', { ...listBody('action_date', 'asc'), page });
+            results.push(...(value.results || []));
+            if (!(value.page_metadata && value.page_metadata.hasNext)) return { value: { results, truncated: false } };
+        }
+        return { value: { results, truncated: true } };
+    };
+
+    const [award, transactions, subawards, funding] = await Promise.allSettled([
+        cachedGet('award', `/awards/${encodedId}/`),
+        allTransactions(),
+        cachedPost('award-subawards', '/subawards/', listBody('action_date', 'desc')),
+        cachedPost('award-funding', '/awards/funding/', listBody('reporting_fiscal_date', 'desc')),
+    ]);
+
+    if (award.status === 'rejected') {
+        const error = award.reason;
+        return sendUpstreamError(res, error, 'award');
+    }
+
+    res.json({
+        award: award.value.value,
+        transactions: {
+            ...detailSection(req, transactions, 'transactions'),
+            truncated: transactions.status === 'fulfilled' && transactions.value.value.truncated,
+        },
+        subawards: detailSection(req, subawards, 'subawards'),
+        funding: detailSection(req, funding, 'funding'),
+    });
+});
+
+// Unwrap an optional section of a detail response (a settled cached call) into its results,
+// or an error message the panel can display
+function detailSection(req, result, name, pick = value => value.results || []) {
+    if (result.status === 'fulfilled') return { results: pick(result.value.value), error: null };
+    req.log.warn(`Error proxying ${name} request`, { error: result.reason });
+    return { results: [], error: `Could not load ${name}.` };
+}
+
+// Earliest date the USAspending search endpoints accept (start of FY2008)
+const SEARCH_HISTORY_START = '2007-10-01';
+
+// Recipient levels in the order a UEI lookup prefers them: the parent profile includes its children
+const RECIPIENT_LEVEL_ORDER = ['P', 'R', 'C'];
+
+// Endpoint to look up recipient profiles by UEI. One UEI can have a parent (P) and a child (C) profile;
+// recipientId is the one to open, preferring the parent.
+app.get('/api/recipient/uei/:uei', async (req, res) => {
+    const uei = req.params.uei.toUpperCase();
+    if (!UEI_PATTERN.test(uei)) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Invalid UEI.', {
+            fields: [{ field: 'uei', message: 'must be 12 letters or digits.' }],
+        });
+    }
+
     try {
-        const response = await axios.post('https://api.usaspending.gov/api/v2/search/spending_by_award/', req.body, {
-            headers: { 'Content-Type': 'application/json' }
+        const { value, status } = await responseCache.get('recipient-uei', { uei }, async () => {
+            const data = await upstream.post('/recipient/', { keyword: uei, award_type: 'all', limit: 50, page: 1 });
+            return {
+                results: (data.results || [])
+                    .filter(recipient => String(recipient.uei || '').toUpperCase() === uei)
+                    .sort((a, b) => RECIPIENT_LEVEL_ORDER.indexOf(a.recipient_level) - RECIPIENT_LEVEL_ORDER.indexOf(b.recipient_level)),
+            };
+        });
+        if (value.results.length === 0) {
+            return sendError(res, 404, ERROR_CODES.NOT_FOUND, `No recipient found with UEI ${uei}.`);
+        }
+        res.setHeader('X-Cache', status);
+        res.json({ uei, recipientId: value.results[0].id, results: value.results });
+    } catch (error) {
+        sendUpstreamError(res, error, 'recipient lookup');
+    }
+});
+
+// Endpoint to fetch everything the recipient profile shows for one recipient ID: the recipient (name, UEI,
+// parent, business types, location), its child recipients when it is a parent, obligations by fiscal year
+// and top awarding agencies. Only the recipient is required, as with /api/award/:id.
+app.get('/api/recipient/:id', async (req, res) => {
+    const recipientId = req.params.id;
+    if (!RECIPIENT_ID_PATTERN.test(recipientId)) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Invalid recipient ID.', {
+            fields: [{ field: 'id', message: 'must be a USAspending recipient ID (hash and level, e.g. ...-P).' }],
         });
-        res.json(response.data);
+    }
+
+    let recipient;
+    try {
+        ({ value: recipient } = await responseCache.get('recipient', { recipientId }, () => upstream.get(`/recipient/${encodeURIComponent(recipientId)}/`, { params: { year: 'all' } })));
+    } catch (error) {
+        return sendUpstreamError(res, error, 'recipient');
+    }
+
+    // Children are listed by the parent's UEI (or DUNS for older records)
+    const parentKey = recipient.recipient_level === 'P' && (recipient.uei || recipient.duns);
+    const filters = {
+        recipient_id: recipientId,
+        time_period: [{ start_date: SEARCH_HISTORY_START, end_date: new Date().toISOString().split('T')[0] }],
+    };
+    const cachedPost = (route, path, body) => responseCache.get(route, body, () => upstream.post(path, body));
+
+    const [children, overTime, agencies] = await Promise.allSettled([
+        parentKey
+            ? responseCache.get('recipient-children', { parentKey }, () => upstream.get(`/recipient/children/${encodeURIComponent(parentKey)}/`, { params: { year: 'all' } }))
+            : Promise.resolve({ value: [] }),
+        cachedPost('recipient-over-time', '/search/spending_over_time/', { group: 'fiscal_year', filters }),
+        cachedPost('recipient-agencies', '/search/spending_by_category/awarding_agency/', { filters, limit: 10, page: 1 }),
+    ]);
+
+    res.json({
+        recipient,
+        children: detailSection(req, children, 'child recipients', value => (Array.isArray(value) ? value : [])),
+        obligationsByYear: detailSection(req, overTime, 'obligations by fiscal year', value => (value.results || []).map(row => ({
+            fiscal_year: Number(row.time_period.fiscal_year),
+            amount: row.aggregated_amount,
+        }))),
+        topAgencies: detailSection(req, agencies, 'top awarding agencies'),
+    });
+});
+
+// Autocomplete endpoints proxied by /api/autocomplete/:type (POST { search_text, limit })
+const AUTOCOMPLETE_ENDPOINTS = {
+    awarding_agency: '/autocomplete/awarding_agency/',
+    funding_agency: '/autocomplete/funding_agency/',
+    recipient: '/autocomplete/recipient/',
+    naics: '/autocomplete/naics/',
+    psc: '/autocomplete/psc/',
+};
+
+// Current federal fiscal year (starts October 1)
+function currentFiscalYear() {
+    const today = new Date();
+    return today.getMonth() >= 9 ? today.getFullYear() + 1 : today.getFullYear();
+}
+
+// Every toptier agency as { toptier_code, abbreviation, name }, through the response cache
+function fetchToptierAgencies() {
+    return responseCache.get('toptier-agencies', {}, async () => {
+        const data = await upstream.get('/references/toptier_agencies/');
+        return {
+            results: (data.results || []).map(agency => ({
+                toptier_code: agency.toptier_code,
+                abbreviation: agency.abbreviation,
+                name: agency.agency_name,
+            })),
+        };
+    });
+}
+
+// Endpoint listing every toptier agency, used to populate the agency type-ahead
+app.get('/api/autocomplete/toptier_agencies', async (req, res) => {
+    try {
+        const { value, status } = await fetchToptierAgencies();
+        res.setHeader('X-Cache', status);
+        res.json(value);
     } catch (error) {
-        console.error('Error proxying search request:', error.response ? error.response.data : error.message);
-        res.status(error.response ? error.response.status : 500).json({ 
-            detail: 'Error proxying request to USA Spending API.',
-            originalError: error.response ? error.response.data : null
+        sendUpstreamError(res, error, 'toptier agency');
+    }
+});
+
+// Endpoint listing the sub-agencies of one toptier agency (by toptier code) that had awards
+// in the current or previous fiscal year, used to cascade the sub-agency picker
+app.get('/api/autocomplete/sub_agencies/:toptierCode', async (req, res) => {
+    const toptierCode = req.params.toptierCode;
+    const agencyType = req.query.agency_type === 'funding' ? 'funding' : 'awarding';
+    if (!/^\d{3,4}$/.test(toptierCode)) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Toptier code must be 3 or 4 digits.', {
+            fields: [{ field: 'toptierCode', message: 'must be 3 or 4 digits.' }],
+        });
+    }
+
+    // Walk every page of sub-agencies for one fiscal year
+    const fetchYear = async (fiscalYear) => {
+        const subAgencies = [];
+        let page = 1;
+        let hasNext = true;
+        while (hasNext) {
+            const data = await upstream.get(`/agency/${toptierCode}/sub_agency/`, {
+                params: { fiscal_year: fiscalYear, agency_type: agencyType, limit: 100, page },
+            });
+            subAgencies.push(...(data.results || []));
+            hasNext = Boolean(data.page_metadata && data.page_metadata.hasNext);
+            page += 1;
+        }
+        return subAgencies;
+    };
+
+    try {
+        const fiscalYear = currentFiscalYear();
+        const { value, status } = await responseCache.get('sub-agencies', { toptierCode, agencyType, fiscalYear }, async () => {
+            const years = await Promise.all([fetchYear(fiscalYear), fetchYear(fiscalYear - 1)]);
+            const byName = new Map();
+            years.flat().forEach((subAgency) => {
+                if (!byName.has(subAgency.name)) {
+                    byName.set(subAgency.name, { name: subAgency.name, abbreviation: subAgency.abbreviation, toptier_code: toptierCode });
+                }
+            });
+            return { results: [...byName.values()].sort((a, b) => a.name.localeCompare(b.name)) };
         });
+        res.setHeader('X-Cache', status);
+        res.json(value);
+    } catch (error) {
+        sendUpstreamError(res, error, 'sub-agency');
     }
 });
 
-// Endpoint to proxy count requests
-app.post('/api/count', async (req, res) => {
+// Endpoint to proxy agency, recipient, NAICS and PSC autocomplete requests
+app.post('/api/autocomplete/:type', validateBody(validateAutocompleteBody), (req, res) => {
+    const upstreamPath = AUTOCOMPLETE_ENDPOINTS[req.params.type];
+    if (!upstreamPath) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Unknown autocomplete type "${req.params.type}".`);
+    }
+    return proxyCached(req, res, `autocomplete-${req.params.type}`, upstreamPath);
+});
+
+// Analytics categories mapped to USAspending spending_by_category endpoints
+const ANALYTICS_CATEGORIES = {
+    recipient: 'recipient',
+    awarding_agency: 'awarding_agency',
+    sub_agency: 'awarding_subagency',
+    naics: 'naics',
+    psc: 'psc',
+    state: 'state_territory',
+};
+
+// Endpoint to proxy spending totals grouped by category (POST { filters, limit, page })
+app.post('/api/analytics/by-category/:category', validateBody(validateCategoryBody), (req, res) => {
+    const category = ANALYTICS_CATEGORIES[req.params.category];
+    if (!category) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, `Unknown category "${req.params.category}". Use one of: ${Object.keys(ANALYTICS_CATEGORIES).join(', ')}.`);
+    }
+    return proxyCached(req, res, `analytics-${req.params.category}`, `/search/spending_by_category/${category}/`);
+});
+
+// Endpoint to proxy spending totals over time (POST { filters, group })
+app.post('/api/analytics/over-time', validateBody(validateOverTimeBody), (req, res) => {
+    return proxyCached(req, res, 'analytics-over-time', '/search/spending_over_time/');
+});
+
+// Admin endpoints to inspect and purge the response cache.
+// When CACHE_ADMIN_TOKEN is set, requests must send "Authorization: Bearer <token>". Without a token they are
+// only open to loopback callers. The socket address is checked rather than req.ip, which X-Forwarded-For can set.
+function requireCacheAdmin(req, res, next) {
+    const token = process.env.CACHE_ADMIN_TOKEN;
+    if (!token) {
+        if (!isLoopbackAddress(req.socket.remoteAddress)) {
+            return sendError(res, 403, ERROR_CODES.FORBIDDEN, 'Cache admin is only available from this machine unless CACHE_ADMIN_TOKEN is set.');
+        }
+    } else if (req.get('Authorization') !== `Bearer ${token}`) {
+        return sendError(res, 401, ERROR_CODES.UNAUTHORIZED, 'Cache admin token required.');
+    }
+    next();
+}
+
+app.get('/api/cache', requireCacheAdmin, async (req, res) => {
+    res.json(await responseCache.inspect());
+});
+
+app.delete('/api/cache', requireCacheAdmin, async (req, res) => {
+    res.json({ purged: await responseCache.purge() });
+});
+
+app.delete('/api/cache/:key', requireCacheAdmin, async (req, res) => {
+    res.json({ purged: await responseCache.purge(req.params.key) });
+});
+
+// Endpoint to export the complete result set for a filter object as CSV, XLSX or NDJSON.
+// Walks every page of the mode's search endpoint upstream (prime awards by default) and streams rows as they arrive.
+app.post('/api/export', rateLimit(rateLimiter, EXPORT_RATE_LIMIT_COST), validateBody(validateExportBody), async (req, res) => {
+    const { filters, format = 'csv', mode = 'awards' } = req.body || {};
+    const searchMode = SEARCH_MODES[mode];
+    const fields = Array.isArray(req.body && req.body.fields) && req.body.fields.length > 0
+        ? req.body.fields
+        : searchMode.defaultFields;
+    const exportFormat = EXPORT_FORMATS[format];
+
+    if (!exportFormat) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, `Unsupported export format "${format}". Use csv, xlsx or json.`, {
+            fields: [{ field: 'format', message: 'must be one of: csv, xlsx, json.' }],
+        });
+    }
+
+    // Look up the total first so the client can show progress, and so bad filters fail before streaming starts
+    let totalCount;
+    try {
+        const countBody = { filters, ...searchMode.body };
+        const { value } = await responseCache.get(searchMode.route.count, countBody, () => upstream.post(searchMode.countPath, countBody));
+        totalCount = Object.values(value.results || {}).reduce((sum, count) => sum + count, 0);
+    } catch (error) {
+        return sendUpstreamError(res, error, 'export count');
+    }
+
+    let cancelled = false;
+    res.on('close', () => { cancelled = !res.writableFinished; });
+
+    const fileName = `${mode}-${new Date().toISOString().split('T')[0]}.${exportFormat.extension}`;
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('X-Total-Count', String(Math.min(totalCount, exportMaxRows)));
+
     try {
-        const response = await axios.post('https://api.usaspending.gov/api/v2/search/spending_by_award_count/', req.body, {
-            headers: { 'Content-Type': 'application/json' }
+        const rowsWritten = await streamExport({
+            stream: res,
+            format,
+            fields,
+            maxRows: exportMaxRows,
+            isCancelled: () => cancelled,
+            extraColumns: searchMode.exportExtraColumns,
+            fetchPage: page => upstream.post(searchMode.searchPath, {
+                filters,
+                fields,
+                limit: EXPORT_PAGE_SIZE,
+                page,
+                ...searchMode.body,
+                ...(searchMode.exportSort && { sort: fields.includes(searchMode.exportSort) ? searchMode.exportSort : fields[0], order: 'desc' }),
+            }),
         });
-        res.json(response.data);
+        req.log.info('Export finished', { mode, format, rows: rowsWritten, cancelled });
     } catch (error) {
-        console.error('Error proxying count request:', error.response ? error.response.data : error.message);
-        res.status(error.response ? error.response.status : 500).json({ 
-            detail: 'Error proxying request to USA Spending API.',
-            originalError: error.response ? error.response.data : null 
+        // Headers are already sent, so the only way to signal failure is to abort the stream
+        req.log.error('Error streaming export', { error });
+        res.destroy(error);
+    }
+});
+
+// Versioned public API for scripts and the command-line client (bin/award-search.js).
+// GET /api/v1/awards takes the same query parameters as a shared search URL (keyword, award_type, agency,
+// start_date, end_date, ...), maps them with buildSpendingFilters() like the search form does, and returns
+// one page of prime awards together with the total count. Agencies may be given by name, abbreviation or
+// toptier code. The next page, when there is one, is linked in the Link header.
+const V1_DEFAULT_LIMIT = 25;
+
+// Replace agency and sub-agency parameters given as a name, abbreviation (GSA) or toptier code (047) with the
+// agency name the agencies filter needs. Returns the resolved parameters and errors for agencies that match nothing.
+async function resolveAgencyParams(params) {
+    const resolved = new URLSearchParams(params);
+    const agencies = params.getAll('agency');
+    const subAgencies = params.getAll('sub_agency');
+    if (agencies.length === 0 && subAgencies.length === 0) return { params: resolved, errors: [] };
+
+    const { value } = await fetchToptierAgencies();
+    const names = new Map();
+    ['toptier_code', 'abbreviation', 'name'].forEach((key) => {
+        value.results.forEach((agency) => {
+            if (agency[key]) names.set(agency[key].toLowerCase(), agency.name);
         });
+    });
+
+    const errors = [];
+    const resolve = (text, field) => {
+        const name = names.get(text.trim().toLowerCase());
+        if (!name) errors.push({ field, message: `"${text}" does not match an agency name, abbreviation or toptier code.` });
+        return name || text;
+    };
+    resolved.delete('agency');
+    resolved.delete('sub_agency');
+    agencies.forEach(agency => resolved.append('agency', resolve(agency, 'agency')));
+    subAgencies.forEach((subAgency) => {
+        const [toptier, name] = subAgency.split('::');
+        if (name === undefined) {
+            errors.push({ field: 'sub_agency', message: 'must be written as <agency>::<sub-agency>.' });
+            return;
+        }
+        resolved.append('sub_agency', `${resolve(toptier, 'sub_agency')}::${name}`);
+    });
+    return { params: resolved, errors };
+}
+
+app.get('/api/v1/awards', async (req, res) => {
+    const query = new URL(req.originalUrl, 'http://localhost').searchParams;
+    const queryErrors = validateAwardsQuery(query);
+    if (queryErrors.length > 0) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The request is invalid. Check the listed fields.', { fields: queryErrors });
+    }
+
+    let params;
+    try {
+        const agencies = await resolveAgencyParams(query);
+        if (agencies.errors.length > 0) {
+            return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The agency parameters are invalid. Check the listed fields.', { fields: agencies.errors });
+        }
+        params = agencies.params;
+    } catch (error) {
+        return sendUpstreamError(res, error, 'toptier agency');
+    }
+
+    const filters = buildSpendingFilters(searchStateFromQuery(params));
+    const filterErrors = validateFilters(filters);
+    if (filterErrors.length > 0) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The search parameters are invalid.', { fields: filterErrors });
+    }
+
+    const page = parseInt(params.get('page'), 10) || 1;
+    const limit = parseInt(params.get('limit'), 10) || V1_DEFAULT_LIMIT;
+    const sort = params.get('sort');
+    const requestedFields = params.has('fields') ? params.get('fields').split(',').map(field => field.trim()).filter(Boolean) : DEFAULT_EXPORT_FIELDS;
+    const fields = sort && !requestedFields.includes(sort) ? [...requestedFields, sort] : requestedFields;
+    const searchBody = { filters, fields, limit, page, ...(sort && { sort, order: params.get('order') || 'desc' }) };
+
+    // Count and page share the response cache with /api/count and /api/search
+    let count;
+    let awards;
+    try {
+        [count, awards] = await Promise.all([
+            responseCache.get('count', { filters }, () => upstream.post('/search/spending_by_award_count/', { filters })),
+            responseCache.get('search', searchBody, () => upstream.post('/search/spending_by_award/', searchBody)),
+        ]);
+    } catch (error) {
+        return sendUpstreamError(res, error, 'v1 awards');
+    }
+
+    const results = awards.value.results || [];
+    const total = Object.values(count.value.results || {}).reduce((sum, value) => sum + value, 0);
+    const hasNext = Boolean(awards.value.page_metadata && awards.value.page_metadata.hasNext);
+    res.setHeader('X-Total-Count', String(total));
+    if (hasNext) {
+        const next = new URLSearchParams(query);
+        next.set('page', String(page + 1));
+        res.setHeader('Link', `</api/v1/awards?${next}>; rel="next"`);
     }
+
+    if (params.get('format') === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.send(pageToCsv(fields, results));
+    }
+    res.json({
+        results,
+        page_metadata: { page, limit, total, totalPages: Math.max(1, Math.ceil(total / limit)), hasNext },
+        filters,
+    });
+});
+
+// Saved search endpoints
+app.get('/api/saved-searches', async (req, res) => {
+    res.json({ results: await savedSearches.list() });
+});
+
+app.post('/api/saved-searches', async (req, res) => {
+    const { name, filters, query, webhookUrl } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'A name is required to save a search.', {
+            fields: [{ field: 'name', message: 'is required.' }],
+        });
+    }
+    const filterErrors = validateFilters(filters);
+    if (filterErrors.length > 0) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The saved search filters are invalid.', { fields: filterErrors });
+    }
+    if (query !== undefined && typeof query !== 'string') {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The query must be a URL query string.', {
+            fields: [{ field: 'query', message: 'must be a string.' }],
+        });
+    }
+    // The scheduler posts to the webhook from this server, so it must not reach loopback or internal hosts
+    const webhookError = webhookUrl ? await checkPublicUrl(String(webhookUrl)) : null;
+    if (webhookError) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, `Webhook URL ${webhookError}`, {
+            fields: [{ field: 'webhookUrl', message: webhookError }],
+        });
+    }
+
+    const search = await savedSearches.create({ name: name.trim(), filters, query, webhookUrl });
+    // Establish the baseline in the background so the response is immediate
+    savedSearches.run(search.id).catch(error => req.log.error('Error running new saved search', { error }));
+    res.status(201).json(search);
+});
+
+app.get('/api/saved-searches/:id', async (req, res) => {
+    const search = await savedSearches.get(req.params.id);
+    if (!search) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Saved search not found.');
+    res.json(search);
+});
+
+// A run walks up to SAVED_SEARCH_MAX_ROWS of results upstream, so it costs as much as an export
+app.post('/api/saved-searches/:id/run', rateLimit(rateLimiter, EXPORT_RATE_LIMIT_COST), async (req, res) => {
+    const search = await savedSearches.run(req.params.id);
+    if (!search) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Saved search not found.');
+    res.json(search);
+});
+
+app.post('/api/saved-searches/:id/acknowledge', async (req, res) => {
+    const search = await savedSearches.acknowledge(req.params.id);
+    if (!search) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Saved search not found.');
+    res.json(search);
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+    if (!(await savedSearches.remove(req.params.id))) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Saved search not found.');
+    }
+    res.status(204).end();
+});
+
+// Watchlist endpoints
+app.get('/api/watchlists', async (req, res) => {
+    res.json({ results: await watchlists.list() });
+});
+
+app.post('/api/watchlists', async (req, res) => {
+    const { name, csv } = req.body || {};
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'A name is required to save a watchlist.', {
+            fields: [{ field: 'name', message: 'is required.' }],
+        });
+    }
+    if (typeof csv !== 'string') {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'Upload a CSV of recipient names or UEIs.', {
+            fields: [{ field: 'csv', message: 'must be a string.' }],
+        });
+    }
+    const { entries, errors } = parseWatchlistCsv(csv);
+    if (errors.length > 0) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The watchlist CSV is invalid.', { fields: errors });
+    }
+
+    res.status(201).json(await watchlists.create({ name: name.trim(), entries }));
+});
+
+app.get('/api/watchlists/:id', async (req, res) => {
+    const watchlist = await watchlists.get(req.params.id);
+    if (!watchlist) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Watchlist not found.');
+    res.json(watchlist);
+});
+
+// Start a run with the given filters. The run is processed in the background; poll the watchlist for progress.
+app.post('/api/watchlists/:id/runs', rateLimit(rateLimiter, EXPORT_RATE_LIMIT_COST), async (req, res) => {
+    const { filters, query } = req.body || {};
+    const filterErrors = validateFilters(filters);
+    if (filterErrors.length > 0) {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The watchlist run filters are invalid.', { fields: filterErrors });
+    }
+    if (query !== undefined && typeof query !== 'string') {
+        return sendError(res, 400, ERROR_CODES.VALIDATION_ERROR, 'The query must be a URL query string.', {
+            fields: [{ field: 'query', message: 'must be a string.' }],
+        });
+    }
+
+    const run = await watchlists.run(req.params.id, { filters, query });
+    if (!run) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Watchlist not found.');
+    res.status(202).json(run);
+});
+
+app.get('/api/watchlists/:id/report.csv', async (req, res) => {
+    const watchlist = await watchlists.get(req.params.id);
+    if (!watchlist) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Watchlist not found.');
+    if (!watchlist.lastRun) return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'This watchlist has not been run yet.');
+
+    const slug = watchlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'watchlist';
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${slug}-${watchlist.lastRun.queuedAt.split('T')[0]}.csv"`);
+    res.send(watchlistReportCsv(watchlist.lastRun));
+});
+
+app.delete('/api/watchlists/:id', async (req, res) => {
+    if (!(await watchlists.remove(req.params.id))) {
+        return sendError(res, 404, ERROR_CODES.NOT_FOUND, 'Watchlist not found.');
+    }
+    res.status(204).end();
+});
+
+// Unknown API routes
+app.use('/api', (req, res) => {
+    sendError(res, 404, ERROR_CODES.NOT_FOUND, `No API route for ${req.method} ${req.originalUrl}.`);
+});
+
+// Body parser failures and unexpected errors, in the same structured format as every other error
+app.use((error, req, res, next) => {
+    if (res.headersSent) return next(error);
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, ERROR_CODES.PAYLOAD_TOO_LARGE, `Request body exceeds the ${bodyLimit} limit.`);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, ERROR_CODES.INVALID_JSON, 'Request body is not valid JSON.');
+    }
+    req.log.error('Unhandled error', { error });
+    return sendError(res, 500, ERROR_CODES.INTERNAL_ERROR, 'An unexpected error occurred.');
 });
 
 app.listen(port, () => {
-    console.log(`Server running at http://localhost:${port}`);
+    logger.info(`Server running at http://localhost:${port}`, { port: Number(port), upstream: upstream.baseUrl, upstreamMode });
+    if (fixtureTransport) logger.info(`Upstream ${upstreamMode} mode using fixtures in ${fixtureTransport.dir}`);
+    if (savedSearchIntervalMinutes > 0) {
+        savedSearches.startScheduler(savedSearchIntervalMinutes * 60 * 1000);
+        logger.info(`Saved searches re-run every ${savedSearchIntervalMinutes} minutes`);
+    }
 });
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cacheKey, stableStringify, createResponseCache, createMemoryStore } = require('../lib/cache');
+
+test('cacheKey is the same for bodies that differ only in key order', () => {
+    const first = { filters: { keywords: ['cloud'], award_type_codes: ['A', 'B'] }, limit: 10, page: 1 };
+    const second = { page: 1, limit: 10, filters: { award_type_codes: ['A', 'B'], keywords: ['cloud'] } };
+    assert.equal(cacheKey('search', first), cacheKey('search', second));
+    assert.equal(stableStringify(first), stableStringify(second));
+});
+
+test('cacheKey differs by route, array order and value', () => {
+    const body = { filters: { award_type_codes: ['A', 'B'] } };
+    assert.notEqual(cacheKey('search', body), cacheKey('count', body));
+    assert.notEqual(cacheKey('search', body), cacheKey('search', { filters: { award_type_codes: ['B', 'A'] } }));
+    assert.notEqual(cacheKey('search', body), cacheKey('search', { filters: { award_type_codes: ['A'] } }));
+    assert.match(cacheKey('search', body), /^search-[0-9a-f]{32}$/);
+});
+
+test('createResponseCache serves hits and coalesces identical in-flight requests', async () => {
+    const cache = createResponseCache({ store: createMemoryStore() });
+    let calls = 0;
+    const fetcher = async () => {
+        calls += 1;
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return { results: [calls] };
+    };
+
+    const [first, second] = await Promise.all([
+        cache.get('search', { page: 1 }, fetcher),
+        cache.get('search', { page: 1 }, fetcher),
+    ]);
+    assert.equal(first.status, 'MISS');
+    assert.equal(second.status, 'COALESCED');
+    assert.equal((await cache.get('search', { page: 1 }, fetcher)).status, 'HIT');
+    assert.equal(calls, 1);
+    assert.deepEqual((await cache.inspect()).stats, { hits: 1, misses: 1, coalesced: 1 });
+});
+
+test('createResponseCache does not cache failures', async () => {
+    const cache = createResponseCache();
+    await assert.rejects(cache.get('count', {}, async () => {
+        throw new Error('upstream down');
+    }), /upstream down/);
+    const retry = await cache.get('count', {}, async () => ({ results: {} }));
+    assert.equal(retry.status, 'MISS');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { pageToCsv, toCsvValue, streamExport } = require('../lib/export');
+
+test('toCsvValue quotes delimiters, quotes and newlines and flattens objects', () => {
+    assert.equal(toCsvValue('plain'), 'plain');
+    assert.equal(toCsvValue('CONTOSO FEDERAL, INC.'), '"CONTOSO FEDERAL, INC."');
+    assert.equal(toCsvValue('"ENTERPRISE" TIER\nOPTION YEAR 1'), '"""ENTERPRISE"" TIER\nOPTION YEAR 1"');
+    assert.equal(toCsvValue(null), '');
+    assert.equal(toCsvValue({ city_name: 'RESTON', state_code: 'VA' }), '"{""city_name"":""RESTON"",""state_code"":""VA""}"');
+});
+
+test('toCsvValue keeps spreadsheets from running text as a formula', () => {
+    assert.equal(toCsvValue('=HYPERLINK("http://example.com","CLICK")'), '"\'=HYPERLINK(""http://example.com"",""CLICK"")"');
+    ['+1 OPTION', '-ADMIN FEE', '@SUM(A1)'].forEach(text => assert.equal(toCsvValue(text), `'${text}`));
+    assert.equal(toCsvValue(-2500.5), '-2500.5'); // Negative amounts stay numbers
+    assert.equal(toCsvValue('CLOUD = HOSTING'), 'CLOUD = HOSTING');
+});
+
+test('pageToCsv writes the requested fields plus generated_internal_id', () => {
+    const rows = [
+        { 'Award ID': '47QTCA24D0012', 'Award Amount': 4850000, generated_internal_id: 'CONT_AWD_1' },
+        { 'Award ID': '47QFCA25F0031', 'Award Amount': null, generated_internal_id: 'CONT_AWD_2' },
+    ];
+    assert.equal(pageToCsv(['Award ID', 'Award Amount'], rows), [
+        'Award ID,Award Amount,generated_internal_id',
+        '47QTCA24D0012,4850000,CONT_AWD_1',
+        '47QFCA25F0031,,CONT_AWD_2',
+        '',
+    ].join('\r\n'));
+});
+
+test('pageToCsv does not repeat generated_internal_id when it was requested', () => {
+    assert.equal(pageToCsv(['generated_internal_id', 'Award ID'], []), 'generated_internal_id,Award ID\r\n');
+});
+
+test('streamExport walks every page and stops at maxRows', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const pages = [
+        { results: [{ 'Award ID': 'A1' }, { 'Award ID': 'A2' }], page_metadata: { hasNext: true } },
+        { results: [{ 'Award ID': 'A3' }, { 'Award ID': 'A4' }], page_metadata: { hasNext: true } },
+    ];
+    const requested = [];
+
+    const rows = await streamExport({
+        stream,
+        format: 'json',
+        fields: ['Award ID'],
+        fetchPage: async (page) => {
+            requested.push(page);
+            return pages[page - 1];
+        },
+        maxRows: 3,
+    });
+
+    assert.equal(rows, 3);
+    assert.deepEqual(requested, [1, 2]);
+    assert.deepEqual(Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line)['Award ID']), ['A1', 'A2', 'A3']);
+});
+
+test('streamExport stops walking pages when the client disconnects while the stream is full', async () => {
+    // Nothing reads from the stream, so its one-byte buffer never drains
+    const stream = new PassThrough({ highWaterMark: 1 });
+    let fetched = 0;
+    const exported = streamExport({
+        stream,
+        format: 'csv',
+        fields: ['Award ID'],
+        fetchPage: async () => {
+            fetched += 1;
+            return { results: [{ 'Award ID': 'A1' }, { 'Award ID': 'A2' }], page_metadata: { hasNext: true } };
+        },
+        maxRows: 1000,
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    stream.destroy();
+
+    assert.equal(await exported, 0);
+    assert.equal(fetched, 0);
+});
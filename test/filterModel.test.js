@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    createSearchState, searchStateFromQuery, searchStateToQuery, buildSpendingFilters,
+    describeSearchState, removeFromSearchState, parseAmountRange, shiftTimePeriods,
+} = require('../public/filterModel');
+
+const TODAY = new Date('2025-06-30T12:00:00Z');
+
+// A search state using every kind of filter
+function fullSearchState() {
+    return {
+        ...createSearchState(),
+        keywords: ['cloud', 'data center'],
+        awardType: 'all_idvs',
+        agencyFunction: 'funding',
+        agencies: [
+            { tier: 'toptier', name: 'General Services Administration' },
+            { tier: 'toptier', name: 'Department of Defense' },
+            { tier: 'subtier', name: 'Federal Acquisition Service', toptier_name: 'General Services Administration' },
+        ],
+        dateType: 'action_date',
+        timePeriods: [{ start_date: '2024-10-01', end_date: '2025-09-30' }, { start_date: '2023-10-01', end_date: '2024-09-30' }],
+        naicsCodes: ['541512', '518210'],
+        pscCodes: ['DA01'],
+        setAsideTypes: ['8A', 'SBA'],
+        pricingTypes: ['J'],
+        placeOfPerformanceScope: 'domestic',
+        recipientScope: 'domestic',
+        placeOfPerformance: { state: 'VA', county: '059', zips: [] },
+        recipientLocation: { state: '', county: '', zips: ['20190', '22102'] },
+        recipients: ['CONTOSO FEDERAL'],
+        amountRanges: [{ min: 1000000, max: null }, { min: 100, max: 2500.5 }],
+        drillDowns: [{ category: 'naics', value: '541512' }],
+    };
+}
+
+test('searchStateToQuery and searchStateFromQuery round-trip every filter', () => {
+    const state = fullSearchState();
+    const query = searchStateToQuery(state);
+    assert.equal(query.get('sub_agency'), 'General Services Administration::Federal Acquisition Service');
+    assert.deepEqual(query.getAll('period'), ['2023-10-01..2024-09-30']);
+    assert.deepEqual(query.getAll('amount'), ['1000000-', '100-2500.5']);
+    assert.deepEqual(searchStateFromQuery(new URLSearchParams(query.toString())), state);
+});
+
+test('searchStateFromQuery splits comma-separated lists and drops unknown drill-downs', () => {
+    const state = searchStateFromQuery(new URLSearchParams('keyword=cloud,%20hosting&keyword=&naics=541512,518210&drill=colour:blue&amount=abc&pop_state=va'));
+    assert.deepEqual(state.keywords, ['cloud', 'hosting']);
+    assert.deepEqual(state.naicsCodes, ['541512', '518210']);
+    assert.deepEqual(state.drillDowns, []);
+    assert.deepEqual(state.amountRanges, []);
+    assert.equal(state.placeOfPerformance.state, 'VA');
+    assert.equal(searchStateToQuery(createSearchState()).toString(), '');
+});
+
+test('buildSpendingFilters maps a search state to USAspending filters', () => {
+    assert.deepEqual(buildSpendingFilters(fullSearchState(), TODAY), {
+        keywords: ['cloud', 'data center'],
+        award_type_codes: ['IDV_A', 'IDV_B', 'IDV_B_A', 'IDV_B_B', 'IDV_B_C', 'IDV_C', 'IDV_D', 'IDV_E'],
+        time_period: [
+            { start_date: '2024-10-01', end_date: '2025-09-30', date_type: 'action_date' },
+            { start_date: '2023-10-01', end_date: '2024-09-30', date_type: 'action_date' },
+        ],
+        // GSA is narrowed to its selected sub-agency
+        agencies: [
+            { type: 'funding', tier: 'toptier', name: 'Department of Defense' },
+            { type: 'funding', tier: 'subtier', name: 'Federal Acquisition Service', toptier_name: 'General Services Administration' },
+        ],
+        naics_codes: { require: ['541512'] }, // Replaced by the drill-down
+        psc_codes: ['DA01'],
+        set_aside_type_codes: ['8A', 'SBA'],
+        contract_pricing_type_codes: ['J'],
+        place_of_performance_scope: 'domestic',
+        place_of_performance_locations: [{ country: 'USA', state: 'VA', county: '059' }],
+        recipient_scope: 'domestic',
+        recipient_locations: [{ country: 'USA', zip: '20190' }, { country: 'USA', zip: '22102' }],
+        recipient_search_text: ['CONTOSO FEDERAL'],
+        award_amounts: [{ lower_bound: 1000000 }, { lower_bound: 100, upper_bound: 2500.5 }],
+    });
+});
+
+test('buildSpendingFilters defaults to contracts over the last 180 days', () => {
+    assert.deepEqual(buildSpendingFilters(createSearchState(), TODAY), {
+        award_type_codes: ['A', 'B', 'C', 'D'],
+        time_period: [{ start_date: '2025-01-01', end_date: '2025-06-30' }],
+    });
+    const openEnded = buildSpendingFilters({ ...createSearchState(), awardType: '02', timePeriods: [{ start_date: '2025-03-01', end_date: '' }] }, TODAY);
+    assert.deepEqual(openEnded.award_type_codes, ['02']);
+    assert.deepEqual(openEnded.time_period, [{ start_date: '2025-03-01', end_date: '2025-06-30' }]);
+});
+
+test('removeFromSearchState removes the filter behind each describeSearchState chip', () => {
+    const state = fullSearchState();
+    const chips = describeSearchState(state);
+    assert.ok(chips.some(chip => chip.label === 'Set-Aside: 8(a) Competed'));
+    chips.forEach((chip) => {
+        assert.ok(describeSearchState(removeFromSearchState(state, chip.key)).length < chips.length, chip.key);
+    });
+
+    // Removing an agency also removes its sub-agencies; indexed filters close the gap
+    const withoutGsa = removeFromSearchState(state, 'agency:toptier:General Services Administration');
+    assert.deepEqual(withoutGsa.agencies, [{ tier: 'toptier', name: 'Department of Defense' }]);
+    assert.deepEqual(removeFromSearchState(state, 'period:0').timePeriods, [{ start_date: '2023-10-01', end_date: '2024-09-30' }]);
+    assert.deepEqual(removeFromSearchState(state, 'amount:1').amountRanges, [{ min: 1000000, max: null }]);
+    assert.deepEqual(state.agencies.length, 3); // The original state is not changed
+});
+
+test('parseAmountRange reads "min-max" with either side optional', () => {
+    assert.deepEqual(parseAmountRange('1000-5000'), { min: 1000, max: 5000 });
+    assert.deepEqual(parseAmountRange(' 250000 - '), { min: 250000, max: null });
+    assert.deepEqual(parseAmountRange('-99.5'), { min: null, max: 99.5 });
+    ['', '-', 'abc', '1000', '5-10-20'].forEach(value => assert.equal(parseAmountRange(value), null, value));
+});
+
+test('shiftTimePeriods moves periods back a year, with Feb 29 becoming Feb 28', () => {
+    const filters = {
+        keywords: ['cloud'],
+        time_period: [
+            { start_date: '2024-10-01', end_date: '2025-09-30', date_type: 'action_date' },
+            { start_date: '2024-02-29', end_date: '2024-03-31' },
+        ],
+    };
+    assert.deepEqual(shiftTimePeriods(filters, 'year'), {
+        keywords: ['cloud'],
+        time_period: [
+            { start_date: '2023-10-01', end_date: '2024-09-30', date_type: 'action_date' },
+            { start_date: '2023-02-28', end_date: '2023-03-31' },
+        ],
+    });
+    assert.equal(filters.time_period[1].start_date, '2024-02-29'); // The original filters are not changed
+});
+
+test('shiftTimePeriods moves a period to the preceding period of the same length', () => {
+    const shifted = shiftTimePeriods({ time_period: [{ start_date: '2025-03-01', end_date: '2025-03-31' }] }, 'period');
+    assert.deepEqual(shifted.time_period, [{ start_date: '2025-01-29', end_date: '2025-02-28' }]);
+    // Across the leap day: 2024-03-01..2024-03-10 spans ten days, so the ten days before end on Feb 29
+    assert.deepEqual(shiftTimePeriods({ time_period: [{ start_date: '2024-03-01', end_date: '2024-03-10' }] }, 'period').time_period, [
+        { start_date: '2024-02-20', end_date: '2024-02-29' },
+    ]);
+});
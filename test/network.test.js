@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isLoopbackAddress, isPrivateAddress, checkPublicUrl } = require('../lib/network');
+
+test('isLoopbackAddress accepts IPv4, IPv6 and IPv4-mapped loopback addresses only', () => {
+    ['127.0.0.1', '127.8.9.10', '::1', '::ffff:127.0.0.1'].forEach(address => assert.equal(isLoopbackAddress(address), true, address));
+    ['192.0.2.1', '::ffff:192.0.2.1', '', undefined].forEach(address => assert.equal(isLoopbackAddress(address), false, String(address)));
+});
+
+test('isPrivateAddress flags loopback, link-local, private and reserved ranges', () => {
+    ['10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', 'fec0::1', '64:ff9b::a9fe:a9fe', '::ffff:10.0.0.1', 'not an ip']
+        .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    ['8.8.8.8', '93.184.216.34', '2001:4860:4860::8888'].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test('checkPublicUrl rejects non-http URLs and private IP literals', async () => {
+    assert.equal(await checkPublicUrl('not a url'), 'must be a valid URL.');
+    assert.equal(await checkPublicUrl('ftp://example.com/hook'), 'must start with http:// or https://.');
+    for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook', 'http://2130706433/', 'http://localhost/hook']) {
+        assert.equal(await checkPublicUrl(url), 'must not point to a private or loopback address.', url);
+    }
+    assert.equal(await checkPublicUrl('https://93.184.216.34/hook'), null);
+});
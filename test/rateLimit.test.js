@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter, rateLimit } = require('../lib/rateLimit');
+
+// Minimal Express response that records the status, headers and JSON body sent
+function createResponse() {
+    return {
+        headers: {},
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        req: { id: 'test-request' },
+        locals: {},
+    };
+}
+
+test('createRateLimiter spends and refills tokens per client', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ capacity: 10, refillPerSecond: 2, now: () => time });
+    assert.equal(limiter.take('203.0.113.1', 10).allowed, true);
+    assert.deepEqual(limiter.take('203.0.113.1', 1), { allowed: false, remaining: 0, retryAfterSeconds: 1 });
+    assert.equal(limiter.take('203.0.113.2', 1).allowed, true); // Other clients have their own bucket
+
+    time += 1000;
+    assert.deepEqual(limiter.take('203.0.113.1', 2), { allowed: true, remaining: 0, retryAfterSeconds: 0 });
+});
+
+test('createRateLimiter evicts the least recently used client once maxClients is reached', () => {
+    const time = 0;
+    const limiter = createRateLimiter({ capacity: 10, maxClients: 2, now: () => time });
+    limiter.take('a', 10);
+    limiter.take('b', 10);
+    limiter.take('a', 0); // a is now the most recently used
+    limiter.take('c', 10); // Nothing has refilled, so b is evicted to make room
+
+    assert.equal(limiter.take('a', 1).allowed, false);
+    assert.equal(limiter.take('b', 1).allowed, true); // b starts over with a full bucket
+});
+
+test('rateLimit answers requests over the limit with 429 and Retry-After', () => {
+    const limiter = createRateLimiter({ capacity: 10, now: () => 0 });
+    const res = createResponse();
+    let passed = 0;
+    rateLimit(limiter, 10)({ ip: '203.0.113.9' }, res, () => {
+        passed += 1;
+    });
+    assert.equal(passed, 1);
+
+    rateLimit(limiter)({ ip: '203.0.113.9' }, res, () => assert.fail('should be rate limited'));
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.equal(res.headers['Retry-After'], '1');
+});
+
+test('rateLimit charges a route its total cost behind a global limiter', () => {
+    const limiter = createRateLimiter({ capacity: 20, now: () => 0 });
+    const req = { ip: '203.0.113.9' };
+    const res = createResponse();
+    let passed = 0;
+    rateLimit(limiter)(req, res, () => rateLimit(limiter, 10)(req, res, () => {
+        passed += 1;
+    }));
+    assert.equal(passed, 1);
+    assert.equal(limiter.take(req.ip, 0).remaining, 10);
+
+    // A second request of the same cost fits exactly; a third is rejected with Retry-After
+    const second = { ip: req.ip };
+    rateLimit(limiter)(second, res, () => rateLimit(limiter, 10)(second, res, () => {
+        passed += 1;
+    }));
+    assert.equal(passed, 2);
+    rateLimit(limiter)({ ip: req.ip }, res, () => assert.fail('should be rate limited'));
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+    assert.equal(res.headers['Retry-After'], '1');
+});
+
+test('rateLimit rejects a cost the limiter could never allow', () => {
+    const limiter = createRateLimiter({ capacity: 5 });
+    assert.throws(() => rateLimit(limiter, 10), /Rate limit cost 10 exceeds the rate limit capacity of 5/);
+    assert.equal(typeof rateLimit(limiter, 5), 'function');
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffAwards, createSavedSearchService } = require('../lib/savedSearches');
+
+const award = (id, lastModified) => ({ generated_internal_id: id, 'Award ID': id.slice(-4), 'Last Modified Date': lastModified });
+
+test('diffAwards treats every award as new on the first run', () => {
+    const awards = [award('CONT_AWD_0001', '2025-01-01'), award('CONT_AWD_0002', '2025-02-01')];
+    const { newAwards, modifiedAwards, seen } = diffAwards({}, awards);
+    assert.deepEqual(newAwards, awards);
+    assert.deepEqual(modifiedAwards, []);
+    assert.deepEqual(seen, { CONT_AWD_0001: '2025-01-01', CONT_AWD_0002: '2025-02-01' });
+});
+
+test('diffAwards reports new and modified awards against the seen map', () => {
+    const previous = { CONT_AWD_0001: '2025-01-01', CONT_AWD_0002: '2025-02-01' };
+    const { newAwards, modifiedAwards, seen } = diffAwards(previous, [
+        award('CONT_AWD_0001', '2025-01-01'),
+        award('CONT_AWD_0002', '2025-03-15'),
+        award('CONT_AWD_0003', '2025-03-20'),
+    ]);
+    assert.deepEqual(newAwards.map(item => item.generated_internal_id), ['CONT_AWD_0003']);
+    assert.deepEqual(modifiedAwards.map(item => item.generated_internal_id), ['CONT_AWD_0002']);
+    assert.equal(seen.CONT_AWD_0002, '2025-03-15');
+});
+
+test('diffAwards keeps awards that dropped out of a run so they are not new when they return', () => {
+    const { seen } = diffAwards({ CONT_AWD_0001: '2025-01-01' }, [award('CONT_AWD_0002', '2025-02-01')]);
+    assert.ok('CONT_AWD_0001' in seen);
+    assert.deepEqual(diffAwards(seen, [award('CONT_AWD_0001', '2025-01-01')]).newAwards, []);
+});
+
+test('diffAwards falls back to Award ID and skips awards without an identifier', () => {
+    const { newAwards, seen } = diffAwards({}, [{ 'Award ID': 'W912DY24C0001' }, { 'Recipient Name': 'NO ID' }]);
+    assert.equal(newAwards.length, 1);
+    assert.deepEqual(seen, { W912DY24C0001: null });
+});
+
+test('a saved search deleted during a run is not updated and does not call its webhook', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-searches-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let awards = [award('CONT_AWD_0001', '2025-01-01')];
+    let release = () => {};
+    let paused = Promise.resolve();
+    const notified = [];
+    const service = createSavedSearchService({
+        file: path.join(dir, 'saved-searches.json'),
+        fetchPage: async () => {
+            await paused;
+            return { results: awards, page_metadata: { hasNext: false } };
+        },
+        notify: async (search, newAwards) => notified.push(newAwards),
+        logger: { info() {}, warn() {}, error() {} },
+    });
+
+    const search = await service.create({ name: 'Cloud', filters: { award_type_codes: ['A'] }, webhookUrl: 'https://hooks.example.com/awards' });
+    await service.run(search.id); // Baseline
+
+    // The next run finds a new award, but the search is deleted before its page arrives
+    awards = [...awards, award('CONT_AWD_0002', '2025-02-01')];
+    paused = new Promise((resolve) => {
+        release = resolve;
+    });
+    const running = service.run(search.id);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(await service.remove(search.id), true);
+    release();
+
+    assert.equal(await running, null);
+    assert.deepEqual(notified, []);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'saved-searches.json'), 'utf8')), []);
+});
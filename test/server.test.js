@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// Runs server.js in replay mode against the recorded responses in test/fixtures/upstream (a small sample
+// of three GSA cloud contracts), so the proxy routes are exercised end to end without network access.
+// To re-record after changing a request, run the server with UPSTREAM_MODE=record
+// UPSTREAM_FIXTURES_DIR=test/fixtures/upstream and repeat the requests below.
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'upstream');
+
+// Filters matching the recorded searches; explicit dates keep the request bodies (and fixture names) fixed
+const FILTERS = {
+    keywords: ['cloud'],
+    award_type_codes: ['A', 'B', 'C', 'D'],
+    time_period: [{ start_date: '2024-10-01', end_date: '2025-09-30' }],
+};
+const V1_QUERY = 'keyword=cloud&agency=GSA&start_date=2024-10-01&end_date=2025-09-30';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+async function startServer() {
+    const port = await freePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'award-search-test-'));
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            UPSTREAM_MODE: 'replay',
+            UPSTREAM_FIXTURES_DIR: FIXTURES_DIR,
+            UPSTREAM_MAX_RETRIES: '0',
+            CACHE_STORE: 'memory',
+            SAVED_SEARCH_INTERVAL_MINUTES: '0',
+            SAVED_SEARCHES_FILE: path.join(dataDir, 'saved-searches.json'),
+            WATCHLISTS_FILE: path.join(dataDir, 'watchlists.json'),
+            LOG_LEVEL: 'error',
+        },
+        stdio: ['ignore', 'ignore', 'inherit'],
+    });
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    // Wait for the server to answer its liveness probe
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+        if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+        try {
+            if ((await fetch(`${baseUrl}/healthz`)).ok) break;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return {
+        baseUrl,
+        async stop() {
+            child.kill();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        },
+    };
+}
+
+// Read one series from a Prometheus text exposition (0 when it has not been recorded yet)
+async function scrapeMetric(baseUrl, series) {
+    const text = await (await fetch(`${baseUrl}/metrics`)).text();
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+function postJson(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+}
+
+test('replayed proxy routes', async (t) => {
+    const server = await startServer();
+    t.after(() => server.stop());
+
+    await t.test('POST /api/search returns the recorded awards and caches them', async () => {
+        const body = { filters: FILTERS, fields: ['Award ID', 'Recipient Name', 'Award Amount', 'generated_internal_id'], limit: 10, page: 1 };
+        const first = await postJson(`${server.baseUrl}/api/search`, body);
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('X-Cache'), 'MISS');
+        const data = await first.json();
+        assert.equal(data.results.length, 3);
+        assert.equal(data.results[0]['Award ID'], '47QTCA24D0012');
+        assert.equal(data.page_metadata.hasNext, false);
+
+        const second = await postJson(`${server.baseUrl}/api/search`, body);
+        assert.equal(second.headers.get('X-Cache'), 'HIT');
+    });
+
+    await t.test('POST /api/count returns the recorded count', async () => {
+        const response = await postJson(`${server.baseUrl}/api/count`, { filters: FILTERS });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).results.contracts, 3);
+    });
+
+    await t.test('POST /api/search rejects invalid bodies before calling upstream', async () => {
+        const response = await postJson(`${server.baseUrl}/api/search`, { filters: FILTERS, fields: ['Award ID'], limit: 500 });
+        assert.equal(response.status, 400);
+        const error = await response.json();
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.deepEqual(error.fields, [{ field: 'limit', message: 'must be an integer from 1 to 100.' }]);
+    });
+
+    await t.test('a request that was never recorded fails with FIXTURE_NOT_RECORDED', async () => {
+        const response = await postJson(`${server.baseUrl}/api/count`, { filters: { ...FILTERS, keywords: ['not recorded'] } });
+        assert.equal(response.status, 404);
+        const error = await response.json();
+        assert.equal(error.code, 'FIXTURE_NOT_RECORDED');
+        assert.match(error.fixture, /^post_search_spending_by_award_count_[0-9a-f]{16}\.json$/);
+    });
+
+    await t.test('GET /api/v1/awards resolves the agency and pages the results', async () => {
+        const response = await fetch(`${server.baseUrl}/api/v1/awards?${V1_QUERY}&limit=2`);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('X-Total-Count'), '3');
+        assert.equal(response.headers.get('Link'), `</api/v1/awards?${V1_QUERY}&limit=2&page=2>; rel="next"`);
+        const data = await response.json();
+        assert.equal(data.results.length, 2);
+        assert.deepEqual(data.page_metadata, { page: 1, limit: 2, total: 3, totalPages: 2, hasNext: true });
+        assert.deepEqual(data.filters.agencies, [{ type: 'awarding', tier: 'toptier', name: 'General Services Administration' }]);
+    });
+
+    await t.test('GET /api/v1/awards returns CSV with format=csv', async () => {
+        const response = await fetch(`${server.baseUrl}/api/v1/awards?${V1_QUERY}&limit=2&page=2&format=csv&fields=Award%20ID,Description`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('Content-Type'), /^text\/csv/);
+        assert.equal(response.headers.get('Link'), null);
+        assert.equal(await response.text(), 'Award ID,Description,generated_internal_id\r\n47QSWA25P0007,CLOUD STORAGE SUBSCRIPTION,CONT_AWD_47QSWA25P0007_4732_-NONE-_-NONE-\r\n');
+    });
+
+    await t.test('GET /api/v1/awards rejects unknown parameters and agencies', async () => {
+        const unknownParam = await fetch(`${server.baseUrl}/api/v1/awards?${V1_QUERY}&colour=blue`);
+        assert.equal(unknownParam.status, 400);
+        assert.deepEqual((await unknownParam.json()).fields, [{ field: 'colour', message: 'is not a supported parameter.' }]);
+
+        const unknownAgency = await fetch(`${server.baseUrl}/api/v1/awards?agency=NOPE&start_date=2024-10-01&end_date=2025-09-30`);
+        assert.equal(unknownAgency.status, 400);
+        assert.equal((await unknownAgency.json()).fields[0].field, 'agency');
+    });
+
+    await t.test('GET /metrics counts each request by route and status, and errors by code', async () => {
+        const requests = 'http_requests_total{method="POST",route="/api/count",status="200"}';
+        const errors = 'http_request_errors_total{route="/api/search",code="VALIDATION_ERROR"}';
+        const requestsBefore = await scrapeMetric(server.baseUrl, requests);
+        const errorsBefore = await scrapeMetric(server.baseUrl, errors);
+
+        await (await postJson(`${server.baseUrl}/api/count`, { filters: FILTERS })).json();
+        await (await postJson(`${server.baseUrl}/api/search`, { filters: FILTERS, fields: ['Award ID'], limit: 500 })).json();
+        assert.equal(await scrapeMetric(server.baseUrl, requests), requestsBefore + 1);
+        assert.equal(await scrapeMetric(server.baseUrl, errors), errorsBefore + 1);
+    });
+});
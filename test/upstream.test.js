@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpstreamClient, createCircuitBreaker, parseRetryAfter, isRetryable } = require('../lib/upstream');
+
+// Build an axios-style error carrying an upstream response
+function httpError(status, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, headers, data: { detail: `HTTP ${status}` } };
+    return error;
+}
+
+// Fake axios whose request() answers with the queued outcomes in order (errors are thrown)
+function fakeHttp(outcomes) {
+    const requests = [];
+    return {
+        requests,
+        async request(config) {
+            requests.push(config);
+            const outcome = outcomes.shift();
+            if (outcome instanceof Error) throw outcome;
+            return { data: outcome };
+        },
+    };
+}
+
+// Client with a controllable clock, no real waiting and a fixed jitter of one half
+function createTestClient(outcomes, options = {}) {
+    const clock = { time: 0 };
+    const sleeps = [];
+    const http = fakeHttp(outcomes);
+    const client = createUpstreamClient({
+        baseUrl: 'https://upstream.test/api/v2/',
+        retryBaseMs: 500,
+        retryMaxMs: 8000,
+        http,
+        sleep: async (ms) => {
+            sleeps.push(ms);
+            clock.time += ms;
+        },
+        random: () => 0.5,
+        now: () => clock.time,
+        ...options,
+    });
+    return { client, clock, sleeps, http };
+}
+
+test('parseRetryAfter reads delta seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:05 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')), 5000);
+    assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT', Date.parse('Wed, 21 Oct 2026 07:29:00 GMT')), 0);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+});
+
+test('isRetryable covers throttling, upstream errors and dropped connections', () => {
+    assert.equal(isRetryable(httpError(429)), true);
+    assert.equal(isRetryable(httpError(503)), true);
+    assert.equal(isRetryable(httpError(422)), false);
+    assert.equal(isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.equal(isRetryable(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' })), false);
+});
+
+test('post retries 5xx responses with jittered exponential backoff', async () => {
+    const { client, sleeps, http } = createTestClient([httpError(502), httpError(503), { results: [] }]);
+    assert.deepEqual(await client.post('/search/spending_by_award/', { page: 1 }), { results: [] });
+    assert.deepEqual(sleeps, [250, 500]); // Half of 500ms, then half of 1000ms
+    assert.equal(http.requests.length, 3);
+    assert.equal(http.requests[0].url, 'https://upstream.test/api/v2/search/spending_by_award/');
+    assert.equal(http.requests[0].timeout, 15000);
+});
+
+test('post gives up after maxRetries and rejects with the last upstream error', async () => {
+    const { client, sleeps } = createTestClient([httpError(500), httpError(500), httpError(504)], { maxRetries: 2 });
+    await assert.rejects(client.post('/search/spending_by_award/', {}), error => error.response.status === 504);
+    assert.equal(sleeps.length, 2);
+});
+
+test('client errors are not retried and do not count against the circuit', async () => {
+    const { client, sleeps } = createTestClient([httpError(422)], { breakerThreshold: 1 });
+    await assert.rejects(client.post('/search/spending_by_award/', {}), error => error.response.status === 422);
+    assert.deepEqual(sleeps, []);
+    assert.equal(client.status().circuit.state, 'closed');
+});
+
+test('a 429 waits for Retry-After instead of the backoff', async () => {
+    const { client, sleeps } = createTestClient([httpError(429, { 'retry-after': '2' }), { ok: true }]);
+    assert.deepEqual(await client.get('/references/toptier_agencies/'), { ok: true });
+    assert.deepEqual(sleeps, [2000]);
+});
+
+test('a Retry-After longer than retryMaxMs fails immediately', async () => {
+    const { client, sleeps, http } = createTestClient([httpError(429, { 'retry-after': '60' }), { ok: true }]);
+    await assert.rejects(client.get('/references/toptier_agencies/'), error => error.response.status === 429);
+    assert.deepEqual(sleeps, []);
+    assert.equal(http.requests.length, 1);
+});
+
+test('the circuit opens after consecutive failures, then half-opens and closes on a successful trial', async () => {
+    const { client, clock, http } = createTestClient([httpError(503), httpError(503), { ok: true }], {
+        maxRetries: 0,
+        breakerThreshold: 2,
+        breakerResetMs: 30000,
+    });
+    await assert.rejects(client.get('/awards/1/'), error => error.response.status === 503);
+    await assert.rejects(client.get('/awards/1/'), error => error.response.status === 503);
+    assert.equal(client.status().circuit.state, 'open');
+    assert.equal(client.status().circuit.consecutiveFailures, 2);
+
+    // While open, calls fail fast without reaching the upstream
+    clock.time = 10000;
+    await assert.rejects(client.get('/awards/1/'), (error) => {
+        assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+        assert.equal(error.retryAfterMs, 20000);
+        return true;
+    });
+    assert.equal(http.requests.length, 2);
+
+    clock.time = 30000;
+    assert.equal(client.status().circuit.state, 'half-open');
+    assert.deepEqual(await client.get('/awards/1/'), { ok: true });
+    assert.deepEqual(client.status().circuit, { state: 'closed', consecutiveFailures: 0, lastFailure: { at: new Date(0).toISOString(), message: 'HTTP 503' } });
+});
+
+test('a half-open circuit allows one trial call and reopens when it fails', () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ threshold: 1, resetMs: 1000, now: () => time });
+    breaker.failure(httpError(500));
+    assert.equal(breaker.allow(), false);
+
+    time = 1000;
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.allow(), false); // The trial is still in flight
+
+    breaker.failure(new Error('socket hang up'));
+    assert.equal(breaker.status().state, 'open');
+    assert.equal(breaker.retryAfterMs(), 1000);
+    assert.deepEqual(breaker.status().lastFailure, { at: new Date(1000).toISOString(), message: 'socket hang up' });
+
+    // A trial that ends without a verdict (a 4xx) frees the slot for the next caller
+    time = 2000;
+    assert.equal(breaker.allow(), true);
+    breaker.release();
+    assert.equal(breaker.allow(), true);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBody, validateSearchBody, validateCountBody, validateAwardsQuery } = require('../lib/validation');
+
+const FILTERS = {
+    award_type_codes: ['A', 'B', 'C', 'D'],
+    time_period: [{ start_date: '2024-10-01', end_date: '2025-09-30' }],
+};
+
+// Run validateBody() middleware against a body; resolves to { nextCalled, status, body }
+function runMiddleware(validator, body) {
+    const result = { nextCalled: false, status: null, body: null };
+    const res = {
+        locals: {},
+        req: { id: 'test-request' },
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(payload) {
+            result.body = payload;
+            return this;
+        },
+    };
+    validateBody(validator)({ body }, res, () => {
+        result.nextCalled = true;
+    });
+    return result;
+}
+
+test('validateBody passes valid bodies through', () => {
+    const result = runMiddleware(validateSearchBody, { filters: FILTERS, fields: ['Award ID'], limit: 10, page: 1 });
+    assert.equal(result.nextCalled, true);
+    assert.equal(result.status, null);
+});
+
+test('validateBody answers invalid bodies with a structured 400', () => {
+    const result = runMiddleware(validateSearchBody, { filters: FILTERS, fields: ['Award ID'], limit: 0, extra: true });
+    assert.equal(result.nextCalled, false);
+    assert.equal(result.status, 400);
+    assert.equal(result.body.code, 'VALIDATION_ERROR');
+    assert.equal(result.body.requestId, 'test-request');
+    assert.deepEqual(result.body.fields.map(error => error.field).sort(), ['extra', 'limit']);
+});
+
+test('validateSearchBody requires award types and a requested sort field', () => {
+    const errors = validateSearchBody({
+        filters: { time_period: FILTERS.time_period },
+        fields: ['Award ID'],
+        sort: 'Award Amount',
+    });
+    assert.deepEqual(errors, [
+        { field: 'filters.award_type_codes', message: 'is required.' },
+        { field: 'sort', message: 'must be one of the requested fields.' },
+    ]);
+});
+
+test('validateCountBody rejects non-object bodies and unknown filters', () => {
+    assert.deepEqual(validateCountBody(null), [{ field: 'body', message: 'must be a JSON object.' }]);
+    assert.deepEqual(validateCountBody({ filters: { ...FILTERS, colour: 'blue' } }), [
+        { field: 'filters.colour', message: 'is not an allowed filter.' },
+    ]);
+});
+
+test('validateCountBody rejects keywords shorter than three characters', () => {
+    assert.deepEqual(validateCountBody({ filters: { ...FILTERS, keywords: ['cloud', ' ab '] } }), [
+        { field: 'filters.keywords[1]', message: '" ab " is too short; each value needs at least 3 characters.' },
+    ]);
+});
+
+test('validateAwardsQuery accepts the search URL parameters', () => {
+    const params = new URLSearchParams('keyword=cloud&keyword=hosting&award_type=all_contracts&agency=GSA&start_date=2024-10-01&end_date=2025-09-30&page=2&limit=50&sort=Award%20Amount&order=asc&format=csv');
+    assert.deepEqual(validateAwardsQuery(params), []);
+});
+
+test('validateAwardsQuery reports each invalid parameter', () => {
+    const params = new URLSearchParams('colour=blue&award_type=all_things&start_date=2024-13-01&page=0&limit=101&format=xml&order=up&page=3');
+    assert.deepEqual(validateAwardsQuery(params).map(error => error.field), [
+        'colour', 'page', 'award_type', 'start_date', 'page', 'limit', 'format', 'order',
+    ]);
+});
+
+test('validateAwardsQuery checks fields and sort against the award fields', () => {
+    const params = new URLSearchParams('fields=Award%20ID,Colour&sort=Shade');
+    assert.deepEqual(validateAwardsQuery(params).map(error => error.field), ['fields[1]', 'sort']);
+    // A sort field left out of fields is added by the route
+    assert.deepEqual(validateAwardsQuery(new URLSearchParams('fields=Award%20ID&sort=Award%20Amount')), []);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseWatchlistCsv, createWatchlistService, MAX_WATCHLIST_ENTRIES } = require('../lib/watchlists');
+
+test('parseWatchlistCsv finds the name and UEI columns by header', () => {
+    const csv = '\uFEFFRecipient Name,UEI,Notes\r\n"Northwind Cloud Services, LLC",abcdefghijk1,prime\r\nContoso Federal,,\r\n';
+    assert.deepEqual(parseWatchlistCsv(csv), {
+        entries: [
+            { label: 'Northwind Cloud Services, LLC', name: 'Northwind Cloud Services, LLC', uei: 'ABCDEFGHIJK1' },
+            { label: 'Contoso Federal', name: 'Contoso Federal', uei: null },
+        ],
+        errors: [],
+    });
+});
+
+test('parseWatchlistCsv reads names or UEIs from the first column without a header', () => {
+    const { entries, errors } = parseWatchlistCsv('Fabrikam Data Systems\nQWERTYUIOP12\nfabrikam data systems\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(entries, [
+        { label: 'Fabrikam Data Systems', name: 'Fabrikam Data Systems', uei: null },
+        { label: 'QWERTYUIOP12', name: null, uei: 'QWERTYUIOP12' },
+    ]);
+});
+
+test('parseWatchlistCsv reports invalid UEIs by line and empty files', () => {
+    assert.deepEqual(parseWatchlistCsv('name,uei\nContoso,SHORT\n').errors, [
+        { field: 'csv.line[2]', message: '"SHORT" is not a valid UEI.' },
+    ]);
+    assert.deepEqual(parseWatchlistCsv(' \n').errors, [{ field: 'csv', message: 'contains no recipients.' }]);
+});
+
+test('parseWatchlistCsv enforces the entry limit', () => {
+    const csv = Array.from({ length: MAX_WATCHLIST_ENTRIES + 1 }, (_, index) => `Recipient ${index}`).join('\n');
+    assert.deepEqual(parseWatchlistCsv(csv).errors, [
+        { field: 'csv', message: `has ${MAX_WATCHLIST_ENTRIES + 1} recipients; the limit is ${MAX_WATCHLIST_ENTRIES}.` },
+    ]);
+});
+
+test('a watchlist run stops calling upstream once the watchlist is deleted', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let calls = 0;
+    let release;
+    const paused = new Promise((resolve) => {
+        release = resolve;
+    });
+    const service = createWatchlistService({
+        file: path.join(dir, 'watchlists.json'),
+        fetchTotals: async () => {
+            calls += 1;
+            return { awardCount: 1, obligatedAmount: 100 };
+        },
+        logger: { info() {}, warn() {}, error() {} },
+        // Hold the run after its first recipient until the watchlist has been deleted
+        sleep: () => paused,
+    });
+
+    const entries = ['Alpha', 'Bravo', 'Charlie'].map(name => ({ label: name, name, uei: null }));
+    const watchlist = await service.create({ name: 'Test', entries });
+    await service.run(watchlist.id, { filters: { award_type_codes: ['A'] } });
+    while (calls === 0) await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(await service.remove(watchlist.id), true);
+    release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(calls, 1);
+});